@@ -0,0 +1,49 @@
+import os from 'os';
+import path from 'path';
+import { FileJobStore, JobQueue } from '../../../lib/jobs.js';
+
+// Where job records and outputs live (override with AV_MERGE_JOB_DIR)
+const JOB_DIR = process.env.AV_MERGE_JOB_DIR || path.join(os.tmpdir(), 'av-merge-jobs');
+
+/**
+ * Get the job queue shared by the job routes. It is kept on `globalThis` so that
+ * hot reloading in development does not start a second queue on the same store.
+ * 
+ * @returns {JobQueue} - The queue.
+ */
+export function getJobQueue() {
+    if (!globalThis.avMergeJobQueue) {
+        globalThis.avMergeJobQueue = new JobQueue({
+            dataDir: path.join(JOB_DIR, 'data'),
+            store: new FileJobStore(path.join(JOB_DIR, 'jobs')),
+            concurrency: Number(process.env.AV_MERGE_CONCURRENCY) || 1,
+            ttl: Number(process.env.AV_MERGE_JOB_TTL_MS) || 60 * 60 * 1000
+        });
+    }
+    return globalThis.avMergeJobQueue;
+}
+
+/**
+ * The job fields that are safe to show to clients (no server paths).
+ * 
+ * @param {Object} job - Job record from the queue.
+ * @returns {Object} - Public view of the job.
+ */
+export function publicJob(job) {
+    return {
+        id: job.id,
+        state: job.state,
+        progress: job.progress,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        expiresAt: job.expiresAt,
+        result: job.result && {
+            videoDuration: job.result.videoDuration,
+            audioDuration: job.result.audioDuration,
+            duration: job.result.duration,
+            strategy: job.result.strategy
+        },
+        error: job.error && job.error.message
+    };
+}
@@ -0,0 +1,247 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import busboy from 'busboy';
+import { OUTPUT_PRESETS } from '../../../index.js';
+import { parseOptionValues } from '../../../lib/options.js';
+
+// Maximum size of a single uploaded file (override with AV_MERGE_MAX_UPLOAD_BYTES)
+const MAX_FILE_SIZE = Number(process.env.AV_MERGE_MAX_UPLOAD_BYTES) || 500 * 1024 * 1024;
+
+// Maximum size of a whole request body, all parts together (override with AV_MERGE_MAX_TOTAL_UPLOAD_BYTES)
+const MAX_UPLOAD_SIZE = Number(process.env.AV_MERGE_MAX_TOTAL_UPLOAD_BYTES) || 2 * 1024 * 1024 * 1024;
+
+// Multipart file parts the merge routes expect, and the ones they accept as well
+// (passed on as the mergeMedia option of the same name)
+const UPLOAD_PARTS = ['video', 'audio'];
+const OPTIONAL_UPLOAD_PARTS = ['music', 'subtitles'];
+
+// The `video` and `audio` parts may be repeated to upload clips that are played in order
+const MAX_CLIPS = 20;
+const MAX_FILE_PARTS = OPTIONAL_UPLOAD_PARTS.length + UPLOAD_PARTS.length * MAX_CLIPS;
+
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export function errorResponse(status, message, code) {
+    return Response.json(code ? { error: message, code } : { error: message }, { status });
+}
+
+/**
+ * Keep a short alphanumeric extension from the uploaded file name so ffmpeg
+ * can use it as a hint, and drop anything else.
+ * 
+ * @param {string} filename - File name sent by the client.
+ * @returns {string} - The extension including the dot, or an empty string.
+ */
+function safeExtension(filename) {
+    const extension = path.extname(filename || '');
+    return /^\.[a-z0-9]{1,8}$/i.test(extension) ? extension.toLowerCase() : '';
+}
+
+/**
+ * Stream the multipart request body to disk without buffering it in memory.
+ * 
+ * @param {Request} request - Incoming request.
+ * @param {string} tempDir - Directory to write the uploaded files into.
+ * @returns {Promise} - Resolves with `{ files, fields }` once every file is written. `files.videoClips`
+ *   and `files.audioClips` list every `video` and `audio` part, `files.video` and `files.audio` are the first.
+ */
+function saveUploads(request, tempDir) {
+    return new Promise((resolve, reject) => {
+        const files = { videoClips: [], audioClips: [] };
+        const fields = {};
+        const writes = [];
+
+        let parser;
+        try {
+            parser = busboy({
+                headers: { 'content-type': request.headers.get('content-type') },
+                limits: { files: MAX_FILE_PARTS, fileSize: MAX_FILE_SIZE, fields: 50 }
+            });
+        } catch (err) {
+            return reject(new HttpError(400, `Invalid multipart request: ${err.message}`));
+        }
+
+        parser.on('file', (name, stream, info) => {
+            const clips = UPLOAD_PARTS.includes(name) ? files[`${name}Clips`] : null;
+            const anotherClip = clips && files[name] && clips.length < MAX_CLIPS;
+            if (!(UPLOAD_PARTS.includes(name) || OPTIONAL_UPLOAD_PARTS.includes(name)) || (files[name] && !anotherClip)) {
+                stream.resume(); // Discard unexpected or duplicate parts
+                return;
+            }
+
+            const base = anotherClip ? `${name}-${clips.length + 1}` : name;
+            const filePath = path.join(tempDir, `${base}${safeExtension(info.filename)}`);
+            const file = { path: filePath, filename: info.filename, mimeType: info.mimeType };
+            if (clips) {
+                clips.push(file);
+            }
+            files[name] = files[name] || file;
+
+            stream.on('limit', () => {
+                reject(new HttpError(413, `The ${name} upload exceeds the ${MAX_FILE_SIZE} byte limit`));
+            });
+            writes.push(pipeline(stream, fs.createWriteStream(filePath)).catch(reject));
+        });
+        parser.on('field', (name, value) => {
+            fields[name] = value;
+        });
+        parser.on('error', (err) => {
+            reject(new HttpError(400, `Invalid multipart request: ${err.message}`));
+        });
+        parser.on('close', () => {
+            Promise.all(writes).then(() => resolve({ files, fields }), reject);
+        });
+
+        if (!request.body) {
+            return reject(new HttpError(400, 'Request body is empty'));
+        }
+        // Count the body as it arrives, as `Content-Length` may be missing or wrong
+        let received = 0;
+        const body = Readable.fromWeb(request.body);
+        body.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > MAX_UPLOAD_SIZE) {
+                const err = new HttpError(413, `The upload exceeds the ${MAX_UPLOAD_SIZE} byte limit`);
+                reject(err);
+                body.unpipe(parser);
+                body.destroy();
+                parser.destroy(err);
+            }
+        });
+        body.on('error', (err) => reject(new HttpError(400, `Upload interrupted: ${err.message}`)));
+        body.pipe(parser);
+    });
+}
+
+/**
+ * Look up the file extension and MIME type of a merge output.
+ * 
+ * @param {string} [preset] - Output preset the merge was asked for, MP4 without one.
+ * @returns {Object} - `{ extension, mimeType }`.
+ */
+export function outputType(preset) {
+    const { extension, mimeType } = OUTPUT_PRESETS[preset] || OUTPUT_PRESETS['web-mp4'];
+    return { extension, mimeType };
+}
+
+/**
+ * Build the download file name from the uploaded video name.
+ * 
+ * @param {string} filename - Original video file name.
+ * @param {string} [extension='.mp4'] - Extension of the merged file.
+ * @returns {string} - ASCII-only file name ending in `extension`.
+ */
+export function downloadName(filename, extension = '.mp4') {
+    const base = path.basename(filename || 'video', path.extname(filename || '')).replace(/[^\w.-]+/g, '_');
+    return `${base || 'video'}-merged${extension}`;
+}
+
+/**
+ * Reject requests that are not multipart uploads or announce a body that is too large.
+ * 
+ * @param {Request} request - Incoming request.
+ */
+export function checkUploadRequest(request) {
+    const contentType = request.headers.get('content-type') || '';
+    if (!contentType.toLowerCase().startsWith('multipart/form-data')) {
+        throw new HttpError(415, 'Expected a multipart/form-data upload');
+    }
+
+    const contentLength = Number(request.headers.get('content-length'));
+    if (contentLength > MAX_UPLOAD_SIZE) {
+        throw new HttpError(413, 'Upload is too large');
+    }
+}
+
+/**
+ * Save the `video`, `audio` and optional `music` and `subtitles` parts of an upload and read the merge options.
+ * Several `video` or `audio` parts are played in order.
+ * 
+ * @param {Request} request - Incoming multipart request.
+ * @param {string} tempDir - Directory to write the uploaded files into.
+ * @returns {Promise} - Resolves with `{ files, options }`; `options.music` and `options.subtitles` hold
+ *   the saved optional files and `options.video` and `options.audio` the clips when there is more than one.
+ */
+export async function readMergeUpload(request, tempDir) {
+    checkUploadRequest(request);
+
+    const { files, fields } = await saveUploads(request, tempDir);
+
+    const missing = UPLOAD_PARTS.filter((name) => !files[name]);
+    if (missing.length > 0) {
+        throw new HttpError(400, `Missing file part(s): ${missing.join(', ')}`);
+    }
+
+    const options = parseOptionValues(fields);
+    for (const name of OPTIONAL_UPLOAD_PARTS) {
+        if (files[name]) {
+            options[name] = files[name].path;
+        }
+    }
+    for (const name of UPLOAD_PARTS) {
+        const clips = files[`${name}Clips`];
+        if (clips.length > 1) {
+            options[name] = clips.map((clip) => clip.path);
+        }
+    }
+    return { files, options };
+}
+
+/**
+ * Stream a merged file back to the client as a download.
+ * 
+ * @param {string} filePath - File to send.
+ * @param {string} filename - Download file name.
+ * @param {Function} [onClose] - Called once the file has been sent or the client went away.
+ * @param {string} [mimeType='video/mp4'] - Content type of the file.
+ * @returns {Promise} - Resolves with the `Response`.
+ */
+export async function fileResponse(filePath, filename, onClose, mimeType = 'video/mp4') {
+    const { size } = await fs.promises.stat(filePath);
+    const stream = fs.createReadStream(filePath);
+    if (onClose) {
+        stream.on('close', onClose);
+    }
+
+    return new Response(Readable.toWeb(stream), {
+        headers: {
+            'Content-Type': mimeType,
+            'Content-Length': String(size),
+            'Content-Disposition': `attachment; filename="${filename}"`
+        }
+    });
+}
+
+/**
+ * Turn an error thrown while handling a request into a JSON error response.
+ * 
+ * @param {Error} err - The error.
+ * @param {string} message - Message sent for unexpected errors, which are logged instead.
+ * @returns {Response} - The error response.
+ */
+export function handleError(err, message) {
+    if (err instanceof HttpError) {
+        return errorResponse(err.status, err.message);
+    }
+    if (err.name === 'AbortError') {
+        // The client went away, nobody will read this response
+        return errorResponse(499, 'Request aborted');
+    }
+    if (err.name === 'OptionError') {
+        // Each field was valid on its own, but the merge cannot use them (together)
+        return errorResponse(400, err.message, err.code);
+    }
+    if (err.name === 'MediaError') {
+        // The upload arrived fine but is not something we can merge
+        return errorResponse(422, err.message, err.code);
+    }
+    console.error(`${message}:`, err);
+    return errorResponse(500, message);
+}
@@ -0,0 +1,20 @@
+import { getJobQueue, publicJob } from '../../../_lib/queue.js';
+import { errorResponse } from '../../../_lib/uploads.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Cancel a queued or running merge. The job is kept, as `failed`, until it expires.
+ */
+export async function POST(request, { params }) {
+    const { id } = await params;
+    const queue = getJobQueue();
+    if (!(await queue.get(id))) {
+        return errorResponse(404, 'Unknown or expired job');
+    }
+    if (!(await queue.cancel(id))) {
+        return errorResponse(409, 'Job has already finished');
+    }
+    return Response.json(publicJob(await queue.get(id)), { status: 202 });
+}
@@ -0,0 +1,26 @@
+import { getJobQueue } from '../../../_lib/queue.js';
+import { errorResponse, fileResponse, handleError, outputType } from '../../../_lib/uploads.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Download the merged file of a finished job.
+ */
+export async function GET(request, { params }) {
+    const { id } = await params;
+    const job = await getJobQueue().get(id);
+    if (!job) {
+        return errorResponse(404, 'Unknown or expired job');
+    }
+    if (job.state !== 'done') {
+        return errorResponse(409, `Job is ${job.state}`);
+    }
+
+    try {
+        const { extension, mimeType } = outputType(job.input.preset);
+        return await fileResponse(job.result.output, `${id}${extension}`, undefined, mimeType);
+    } catch (err) {
+        return handleError(err, 'Failed to read the merged video');
+    }
+}
@@ -0,0 +1,30 @@
+import { getJobQueue, publicJob } from '../../_lib/queue.js';
+import { errorResponse } from '../../_lib/uploads.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Report the state of a queued merge.
+ */
+export async function GET(request, { params }) {
+    const { id } = await params;
+    const job = await getJobQueue().get(id);
+    if (!job) {
+        return errorResponse(404, 'Unknown or expired job');
+    }
+    return Response.json(publicJob(job));
+}
+
+/**
+ * Forget a job and delete its files.
+ */
+export async function DELETE(request, { params }) {
+    const { id } = await params;
+    const queue = getJobQueue();
+    if (!(await queue.get(id))) {
+        return errorResponse(404, 'Unknown or expired job');
+    }
+    await queue.remove(id);
+    return new Response(null, { status: 204 });
+}
@@ -0,0 +1,36 @@
+import { createWorkspace, removeWorkspace } from '../../../index.js';
+import { getJobQueue, publicJob } from '../_lib/queue.js';
+import { handleError, readMergeUpload } from '../_lib/uploads.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Queue a merge of an uploaded video and audio file.
+ * 
+ * Takes the same multipart body as `/api/merge` and answers `202` with the job,
+ * whose state can be polled at `/api/jobs/<id>`.
+ */
+export async function POST(request) {
+    let tempDir = null;
+
+    try {
+        tempDir = createWorkspace();
+        const { files, options } = await readMergeUpload(request, tempDir);
+
+        const queue = getJobQueue();
+        const id = await queue.submit({ video: files.video.path, audio: files.audio.path, ...options }, { moveInputs: true });
+        const job = await queue.get(id);
+
+        return Response.json(publicJob(job), {
+            status: 202,
+            headers: { Location: `/api/jobs/${id}` }
+        });
+    } catch (err) {
+        return handleError(err, 'Failed to queue the merge');
+    } finally {
+        if (tempDir) {
+            removeWorkspace(tempDir);
+        }
+    }
+}
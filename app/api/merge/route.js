@@ -0,0 +1,45 @@
+import path from 'path';
+import { mergeMedia, createWorkspace, removeWorkspace } from '../../../index.js';
+import { downloadName, fileResponse, handleError, outputType, readMergeUpload } from '../_lib/uploads.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+/**
+ * Merge an uploaded video and audio file and stream back the result, an MP4 unless
+ * the `preset` field asks for another format.
+ * 
+ * Expects `multipart/form-data` with a `video` and an `audio` file part (each repeated for clips
+ * played in order) and the optional text fields with merge options (see `parseOptionValues` in
+ * `lib/options.js`).
+ */
+export async function POST(request) {
+    let tempDir = null;
+    let streaming = false;
+
+    try {
+        tempDir = createWorkspace();
+        const { files, options } = await readMergeUpload(request, tempDir);
+        const { extension, mimeType } = outputType(options.preset);
+
+        const result = await mergeMedia({
+            video: files.video.path,
+            audio: files.audio.path,
+            output: path.join(tempDir, `output${extension}`),
+            ...options,
+            // Stop ffmpeg when the client closes the connection
+            signal: request.signal
+        });
+
+        // Remove the uploads and the output once the response is sent or aborted
+        const response = await fileResponse(result.output, downloadName(files.video.filename, extension), () => removeWorkspace(tempDir), mimeType);
+        streaming = true;
+        return response;
+    } catch (err) {
+        return handleError(err, 'Failed to merge the uploaded files');
+    } finally {
+        if (tempDir && !streaming) {
+            removeWorkspace(tempDir);
+        }
+    }
+}
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { runBatch, readManifest, pairDirectory, writeReport } = require('../lib/batch');
+const { OPTION_NAMES, parseOptionValues } = require('../lib/options');
+const { mergeMedia, setDebug, FIT_STRATEGIES, PAD_REMAINDERS, AUDIO_MODES, LOUDNESS_PRESETS, OUTPUT_PRESETS, STILL_BACKGROUNDS, SUBTITLE_MODES, SUBTITLE_POSITIONS, TRANSITIONS, CLIP_ORDERS } = require('..');
+
+const USAGE = `Usage: av-merge --video <file> --audio <file> -o <file> [options]
+       av-merge --batch <manifest.csv|json> [--output-dir <dir>] [options]
+       av-merge --audio-dir <dir> --video <file|dir> --output-dir <dir> [options]
+
+Options:
+  --video <file>               Input video file, or a still image (PNG, JPEG); repeat it to play
+                               several clips one after another
+  -a, --audio <file>           Input audio file; repeat it to join several clips in order
+  -o, --output <file>          Output video file
+  --fit <strategy>             How to match lengths: ${FIT_STRATEGIES.join(', ')},
+                               or the output length in seconds (default: auto)
+  --audio-gap <seconds>        Silence between joined audio clips (default: 0)
+  --audio-crossfade <seconds>  Crossfade between joined audio clips instead of a gap
+  --fade-out <seconds>         Fade out audio and video at the end (default: 0)
+  --silence-threshold <dB>     Noise floor used to detect pauses, or "auto" (default: -50)
+  --min-silence <seconds>      Minimum pause length (default: 0.5)
+  --max-pause <seconds>        Maximum silence added to a single pause (default: 5)
+  --pad-remainder <where>      Padding that does not fit the pauses: ${PAD_REMAINDERS.join(', ')} (default: end)
+  --min-stretch <factor>       Largest speed-up by the stretch strategies (default: 0.8)
+  --max-stretch <factor>       Largest slow-down by the stretch strategies (default: 1.25)
+  --crossfade <seconds>        Crossfade between iterations of a looped video or between video
+                               clips (default: 0)
+  --transition <name>          How iterations or clips are crossfaded: ${TRANSITIONS.join(', ')}
+                               (default: fade)
+  --clip-order <order>         Order video clips play in: ${CLIP_ORDERS.join(', ')} (default: sequence)
+  --frame-rate <fps>           Frame rate of assembled video clips (default: the first clip's)
+  --boomerang                  Play every other iteration of a looped video in reverse
+  --complete-loops             End a looped video on a full iteration, padding the audio
+  --exact-duration             Decode the whole audio to measure its duration
+  --audio-mode <mode>          Audio the video already has: ${AUDIO_MODES.join(', ')} (default: replace)
+  --audio-gain <dB>            Gain for the new audio when combined with the original (default: 0)
+  --original-gain <dB>         Gain for the original audio (default: 0)
+  --audio-language <code>      Language of the new audio track (multi-track)
+  --original-language <code>   Language of the original audio track (multi-track)
+  --audio-title <title>        Title of the new audio track (multi-track)
+  --original-title <title>     Title of the original audio track (multi-track)
+  --music <file>               Music bed laid under the audio, looped or cut to length
+  --music-gain <dB>            Gain for the music (default: -15)
+  --music-fade-in <seconds>    Fade the music in (default: 1)
+  --music-fade-out <seconds>   Fade the music out (default: 2)
+  --no-ducking                 Keep the music level while the audio speaks
+  --loudness <target>          Normalize the loudness: ${Object.keys(LOUDNESS_PRESETS).join(', ')},
+                               or a number of LUFS such as --loudness=-18
+  --true-peak <dBTP>           Highest true peak when normalizing (default: -1)
+  --resolution <WxH>           Frame size of a still image or of video clips (default: the image's
+                               or first clip's)
+  --background <style>         Framing of a still image of another shape: ${STILL_BACKGROUNDS.join(', ')}
+                               (default: letterbox)
+  --ken-burns                  Zoom and pan slowly across a still image
+  --preset <name>              Output format: ${Object.keys(OUTPUT_PRESETS).join(', ')}
+                               (default: from the output extension)
+  --video-codec <codec>        Output video codec (default: copy when the output can hold it)
+  --audio-codec <codec>        Output audio codec (default: the preset's or container's)
+  --crf <quality>              Constant quality for the video encoder, encodes the video
+  --video-bitrate <rate>       Video bitrate such as 4M, encodes the video
+  --audio-bitrate <rate>       Audio bitrate such as 192k
+  --subtitles <file>           SRT, WebVTT or ASS captions timed to the audio
+  --subtitle-mode <mode>       Add a subtitle track or burn the captions in: ${SUBTITLE_MODES.join(', ')}
+                               (default: soft)
+  --subtitle-language <code>   Language of the subtitle track
+  --subtitle-font <name>       Font of burned-in captions
+  --subtitle-size <size>       Font size of burned-in captions
+  --subtitle-position <where>  Place of burned-in captions: ${Object.keys(SUBTITLE_POSITIONS).join(', ')}
+  --subtitle-outline <width>   Outline width of burned-in captions
+  --timing-map <file>          Save where the audio ended up in the output as JSON
+
+Batch options (the options above apply to every row, the row's own fields win):
+  --batch <file>               Merge every row of a CSV or JSON manifest (video, audio, output, options)
+  --audio-dir <dir>            Merge every audio file in a directory with --video, a file, clips
+                               or a directory of videos with the same base names
+  --output-dir <dir>           Directory for rows without an output, named after the audio
+  --concurrency <n>            Merges running at once (default: 2)
+  --force                      Merge rows whose output is already newer than its inputs
+  --report <file>              Save the batch summary as JSON
+  --json                       Print a JSON summary to stdout
+  --verbose                    Print debug logs
+  -h, --help                   Show this help`;
+
+const OPTIONS = {
+    video: { type: 'string', multiple: true },
+    audio: { type: 'string', short: 'a', multiple: true },
+    output: { type: 'string', short: 'o' },
+    fit: { type: 'string' },
+    'audio-gap': { type: 'string' },
+    'audio-crossfade': { type: 'string' },
+    'fade-out': { type: 'string' },
+    'silence-threshold': { type: 'string' },
+    'min-silence': { type: 'string' },
+    'max-pause': { type: 'string' },
+    'pad-remainder': { type: 'string' },
+    'min-stretch': { type: 'string' },
+    'max-stretch': { type: 'string' },
+    crossfade: { type: 'string' },
+    transition: { type: 'string' },
+    'clip-order': { type: 'string' },
+    'frame-rate': { type: 'string' },
+    boomerang: { type: 'boolean' },
+    'complete-loops': { type: 'boolean' },
+    'exact-duration': { type: 'boolean' },
+    'audio-mode': { type: 'string' },
+    'audio-gain': { type: 'string' },
+    'original-gain': { type: 'string' },
+    'audio-language': { type: 'string' },
+    'original-language': { type: 'string' },
+    'audio-title': { type: 'string' },
+    'original-title': { type: 'string' },
+    music: { type: 'string' },
+    'music-gain': { type: 'string' },
+    'music-fade-in': { type: 'string' },
+    'music-fade-out': { type: 'string' },
+    'no-ducking': { type: 'boolean' },
+    loudness: { type: 'string' },
+    'true-peak': { type: 'string' },
+    resolution: { type: 'string' },
+    background: { type: 'string' },
+    'ken-burns': { type: 'boolean' },
+    preset: { type: 'string' },
+    'video-codec': { type: 'string' },
+    'audio-codec': { type: 'string' },
+    crf: { type: 'string' },
+    'video-bitrate': { type: 'string' },
+    'audio-bitrate': { type: 'string' },
+    subtitles: { type: 'string' },
+    'subtitle-mode': { type: 'string' },
+    'subtitle-language': { type: 'string' },
+    'subtitle-font': { type: 'string' },
+    'subtitle-size': { type: 'string' },
+    'subtitle-position': { type: 'string' },
+    'subtitle-outline': { type: 'string' },
+    'timing-map': { type: 'string' },
+    batch: { type: 'string' },
+    'audio-dir': { type: 'string' },
+    'output-dir': { type: 'string' },
+    concurrency: { type: 'string' },
+    force: { type: 'boolean' },
+    report: { type: 'string' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Turn a mergeMedia option name into its flag, e.g. `padRemainder` into `pad-remainder`
+const flagName = (option) => option.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+class UsageError extends Error {}
+
+/**
+ * Turn the command line into `mergeMedia` options.
+ * 
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {Object} - `{ help, json, verbose, timingMap, batch, options }`; `batch` holds the batch
+ *   settings, or `null` for a single merge.
+ */
+function parseCommandLine(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    let batch = null;
+    let required = ['video', 'audio', 'output'];
+    if (values.batch || values['audio-dir']) {
+        if (values.batch && values['audio-dir']) {
+            throw new UsageError('--batch and --audio-dir cannot be combined');
+        }
+        const single = ['audio', 'output', 'timing-map'].filter((name) => values[name]);
+        if (single.length > 0) {
+            throw new UsageError(`${single.map((name) => `--${name}`).join(', ')} cannot be used in a batch`);
+        }
+        const concurrency = values.concurrency === undefined ? 2 : Number(values.concurrency);
+        if (!(Number.isInteger(concurrency) && concurrency >= 1)) {
+            throw new UsageError(`--concurrency must be a whole number of at least 1, got "${values.concurrency}"`);
+        }
+        batch = {
+            manifest: values.batch,
+            audioDir: values['audio-dir'],
+            outputDir: values['output-dir'],
+            concurrency,
+            force: Boolean(values.force),
+            report: values.report
+        };
+        required = values['audio-dir'] ? ['video', 'output-dir'] : [];
+    }
+
+    const missing = required.filter((name) => !values[name]);
+    if (missing.length > 0) {
+        throw new UsageError(`Missing required option(s): ${missing.map((name) => `--${name}`).join(', ')}`);
+    }
+
+    let options;
+    try {
+        options = parseOptionValues(Object.fromEntries(OPTION_NAMES.map((name) => [name, values[flagName(name)]])), {
+            label: (name) => `--${flagName(name)}`
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    Object.assign(options, {
+        video: values.video && (values.video.length > 1 ? values.video : values.video[0]),
+        audio: values.audio && (values.audio.length > 1 ? values.audio : values.audio[0]),
+        output: values.output,
+        videoCodec: values['video-codec'],
+        audioCodec: values['audio-codec'],
+        music: values.music,
+        duckMusic: values['no-ducking'] ? false : undefined,
+        subtitles: values.subtitles
+    });
+
+    // Leave unset options out so mergeMedia applies its own defaults
+    Object.keys(options).forEach((key) => options[key] === undefined && delete options[key]);
+
+    return { json: Boolean(values.json), verbose: Boolean(values.verbose), timingMap: values['timing-map'], batch, options };
+}
+
+async function main(argv) {
+    let command;
+    try {
+        command = parseCommandLine(argv);
+    } catch (err) {
+        console.error(`av-merge: ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (command.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    setDebug(command.verbose);
+    if (command.batch) {
+        return batchMain(command);
+    }
+
+    // Ctrl+C stops ffmpeg and removes the intermediate files before exiting
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort();
+    process.on('SIGINT', onInterrupt);
+    process.on('SIGTERM', onInterrupt);
+
+    try {
+        const result = await mergeMedia({ ...command.options, signal: controller.signal });
+        if (command.timingMap) {
+            await fs.promises.writeFile(command.timingMap, `${JSON.stringify(result.timing, null, 2)}\n`);
+        }
+        if (command.json) {
+            console.log(JSON.stringify({ ok: true, ...result }, null, 2));
+        } else {
+            console.log(`Merged video created at: ${result.output} (${result.strategy}, ${result.duration.toFixed(2)}s)`);
+        }
+        return 0;
+    } catch (err) {
+        if (command.json) {
+            console.log(JSON.stringify({ ok: false, error: { message: err.message, code: err.code } }, null, 2));
+        } else {
+            console.error(`av-merge: ${err.message}`);
+        }
+        return err.name === 'AbortError' ? 130 : 1;
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+        process.removeListener('SIGTERM', onInterrupt);
+    }
+}
+
+/**
+ * Run a batch: every row is merged with the command line options as defaults, failed rows
+ * are reported and the others still run. Exits with `1` when a row failed.
+ */
+async function batchMain(command) {
+    const { manifest, audioDir, outputDir, concurrency, force, report } = command.batch;
+    const { video, ...defaults } = command.options;
+
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort();
+    process.on('SIGINT', onInterrupt);
+    process.on('SIGTERM', onInterrupt);
+
+    try {
+        let rows;
+        try {
+            // A shared --video fills in rows of a manifest that have none
+            rows = manifest
+                ? (await readManifest(manifest)).map((row) => ({ ...(video && { video }), ...row }))
+                : await pairDirectory(audioDir, video);
+        } catch (err) {
+            console.error(`av-merge: Cannot read the batch: ${err.message}`);
+            return 1;
+        }
+
+        let finished = 0;
+        const summary = await runBatch(rows, {
+            defaults,
+            outputDir,
+            concurrency,
+            force,
+            signal: controller.signal,
+            onRow: (row) => {
+                finished++;
+                if (command.json) return;
+                const detail = row.status === 'failed' ? row.error.message : row.output;
+                console.log(`[${finished}/${rows.length}] ${row.status}: ${detail || row.audio}`);
+            }
+        });
+
+        if (report) {
+            await writeReport(summary, report);
+        }
+        if (command.json) {
+            console.log(JSON.stringify({ ok: summary.failed === 0, ...summary }, null, 2));
+        } else {
+            console.log(`${summary.done} merged, ${summary.skipped} up to date, ${summary.failed} failed (${(summary.elapsed / 1000).toFixed(1)}s)`);
+        }
+        if (controller.signal.aborted) return 130;
+        return summary.failed > 0 ? 1 : 0;
+    } finally {
+        process.removeListener('SIGINT', onInterrupt);
+        process.removeListener('SIGTERM', onInterrupt);
+    }
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
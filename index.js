@@ -2,18 +2,221 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { debugLog, setDebug } = require('./lib/debug');
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 
-// Toggle DEBUG mode
-const DEBUG = true; // Set to false to disable debug logs
+// Workspaces of jobs that are still running, removed on exit as a last resort
+const activeWorkspaces = new Set();
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+let exitHandlerInstalled = false;
 
-function debugLog(...messages) {
-    if (DEBUG) {
-        console.log('[DEBUG]', ...messages);
+function removeActiveWorkspaces() {
+    for (const workspace of activeWorkspaces) {
+        removeWorkspace(workspace);
     }
 }
 
+// Cleans up, then leaves the signal to the host when it handles it (and can abort its
+// merges through their `signal`), or raises it again for its default action otherwise
+function onExitSignal(signal) {
+    const unhandled = process.listenerCount(signal) === 1;
+    removeActiveWorkspaces();
+    uninstallSignalHandlers();
+    if (unhandled) {
+        process.kill(process.pid, signal);
+    }
+}
+
+function installExitHandlers() {
+    if (!exitHandlerInstalled) {
+        exitHandlerInstalled = true;
+        // 'exit' also fires when the process dies from an uncaught exception
+        process.on('exit', removeActiveWorkspaces);
+    }
+    // Listening to a signal replaces its default action, so only listen while a workspace exists
+    if (activeWorkspaces.size === 0) {
+        EXIT_SIGNALS.forEach((signal) => process.on(signal, onExitSignal));
+    }
+}
+
+function uninstallSignalHandlers() {
+    EXIT_SIGNALS.forEach((signal) => process.removeListener(signal, onExitSignal));
+}
+
+/**
+ * Create a private temporary directory for the intermediate files of one job.
+ * It is removed by `removeWorkspace`, or when the process exits or receives a signal.
+ * 
+ * @returns {string} - Path of the new directory under `os.tmpdir()`.
+ */
+function createWorkspace() {
+    installExitHandlers();
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'av-merge-'));
+    activeWorkspaces.add(workspace);
+    debugLog(`Created workspace: ${workspace}`);
+    return workspace;
+}
+
+/**
+ * Delete a workspace created by `createWorkspace` together with its contents.
+ * 
+ * @param {string} workspace - Path returned by `createWorkspace`.
+ */
+function removeWorkspace(workspace) {
+    if (activeWorkspaces.delete(workspace) && activeWorkspaces.size === 0) {
+        uninstallSignalHandlers();
+    }
+    try {
+        fs.rmSync(workspace, { recursive: true, force: true });
+        debugLog(`Removed workspace: ${workspace}`);
+    } catch (err) {
+        debugLog(`Error removing workspace ${workspace}: ${err.message}`);
+    }
+}
+
+/**
+ * Error used to reject a merge that was cancelled through its `AbortSignal`.
+ */
+class AbortError extends Error {
+    constructor(message = 'The merge was aborted', options) {
+        super(message, options);
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+    }
+}
+
+/**
+ * Error used to reject a merge whose inputs cannot be used. `code` tells why:
+ * `ERR_INPUT_NOT_FOUND`, `ERR_PROBE_FAILED`, `ERR_NO_VIDEO_STREAM`, `ERR_NO_AUDIO_STREAM`
+ * or `ERR_UNKNOWN_DURATION`.
+ */
+class MediaError extends Error {
+    constructor(message, code, options) {
+        super(message, options);
+        this.name = 'MediaError';
+        this.code = code;
+    }
+}
+
+/**
+ * Error thrown for an option value, or a combination of options, that a merge cannot use.
+ * It is a `TypeError`, so callers checking for one keep working.
+ */
+class OptionError extends TypeError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'OptionError';
+        this.code = 'ERR_INVALID_OPTION';
+    }
+}
+
+/**
+ * Throw an `AbortError` if the signal has already been aborted.
+ * 
+ * @param {AbortSignal} [signal] - Signal passed by the caller.
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new AbortError(undefined, { cause: signal.reason });
+    }
+}
+
+/**
+ * Replace the error of a killed ffmpeg process by an `AbortError` when it was
+ * killed because the signal fired.
+ * 
+ * @param {Error} err - Error emitted by fluent-ffmpeg.
+ * @param {AbortSignal} [signal] - Signal passed by the caller.
+ * @returns {Error} - The error to reject with.
+ */
+function toAbortError(err, signal) {
+    return signal && signal.aborted ? new AbortError(undefined, { cause: signal.reason }) : err;
+}
+
+/**
+ * Kill the ffmpeg process of a command as soon as the signal is aborted.
+ * 
+ * @param {Object} command - fluent-ffmpeg command.
+ * @param {AbortSignal} [signal] - Signal passed by the caller.
+ * @returns {Object} - The command, for chaining.
+ */
+function watchAbort(command, signal) {
+    if (!signal) return command;
+
+    const kill = () => command.kill('SIGKILL');
+    const unwatch = () => signal.removeEventListener('abort', kill);
+    signal.addEventListener('abort', kill, { once: true });
+
+    return command
+        .on('start', () => {
+            // The process is spawned asynchronously, so the signal may have fired in between
+            if (signal.aborted) kill();
+        })
+        .on('end', unwatch)
+        .on('error', unwatch);
+}
+
+/**
+ * Convert an ffmpeg timemark (`HH:MM:SS.xx`) to seconds.
+ * 
+ * @param {string} timemark - Timemark reported by ffmpeg.
+ * @returns {number} - Time in seconds, `NaN` when the timemark cannot be read.
+ */
+function timemarkToSeconds(timemark) {
+    if (typeof timemark !== 'string') return NaN;
+    return timemark.split(':').reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Forward the `progress` events of an ffmpeg command as a 0-100 percentage.
+ * 
+ * @param {Object} command - fluent-ffmpeg command.
+ * @param {Function} [onProgress] - Called with the percentage of the command that is done.
+ * @param {number} [targetDuration] - Expected output duration in seconds. Without it
+ *   fluent-ffmpeg's own estimate, based on the input duration, is used.
+ * @returns {Object} - The command, for chaining.
+ */
+function trackProgress(command, onProgress, targetDuration) {
+    if (typeof onProgress !== 'function') return command;
+    return command.on('progress', (progress) => {
+        const percent = targetDuration > 0
+            ? (timemarkToSeconds(progress.timemark) / targetDuration) * 100
+            : progress.percent;
+        if (Number.isFinite(percent)) {
+            onProgress(Math.max(0, Math.min(100, percent)));
+        }
+    });
+}
+
+/**
+ * Combine the progress of several weighted parts into a single percentage.
+ * 
+ * @param {Function} [onProgress] - Called with the overall percentage whenever it grows.
+ * @param {Object} weights - Relative weight of every part, keyed by part name.
+ * @returns {Function} - `report(part, percent)`, to call with the progress of one part.
+ */
+function combineProgress(onProgress, weights) {
+    const done = {};
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    let lastReported = -1;
+
+    return (part, percent) => {
+        if (typeof onProgress !== 'function' || !(part in weights)) return;
+
+        done[part] = Math.max(done[part] || 0, Math.min(percent, 100));
+        const weighted = Object.keys(done).reduce((sum, key) => sum + weights[key] * done[key], 0);
+        const overall = totalWeight > 0 ? Math.floor((weighted / totalWeight) * 10) / 10 : 100;
+
+        // Only report growth so a progress bar never jumps backwards
+        if (overall > lastReported) {
+            lastReported = overall;
+            onProgress(overall);
+        }
+    };
+}
+
 /**
  * Get the duration of a media file (audio or video).
  * 
@@ -36,299 +239,2843 @@ function getDuration(filePath) {
 }
 
 /**
- * Detect silent pauses in the audio using FFmpeg.
+ * Get the first video stream of a media file, as reported by ffprobe.
  * 
- * @param {string} audioPath - Path to the audio file.
- * @returns {Promise} - Resolves with an array of detected silence periods.
+ * @param {string} filePath - Path to the media file.
+ * @returns {Promise} - Resolves with the stream, or `null` when the file has no video stream.
  */
-function detectSilences(audioPath) {
-    debugLog(`Detecting silences in audio: ${audioPath}`);
+function getVideoStream(filePath) {
     return new Promise((resolve, reject) => {
-        const silenceTimes = [];
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err) {
+                debugLog(`Error probing streams: ${err.message}`);
+                return reject(err);
+            }
+            resolve(metadata.streams.find((stream) => stream.codec_type === 'video') || null);
+        });
+    });
+}
 
-        // Run the FFmpeg command with the silencedetect filter
-        ffmpeg(audioPath)
-            .audioFilters('silencedetect=n=-50dB:d=0.5') // Set the silence detection parameters
-            .addOption('-f', 'null')  // set format to null 
-            .on('stderr', (line) => {
-                // Match and capture silence start and end times
-                const silenceStartMatch = line.match(/silence_start: (\d+\.\d+)/);
-                const silenceEndMatch = line.match(/silence_end: (\d+\.\d+)/);
+/**
+ * Read the frame rate of a probed video stream.
+ * 
+ * @param {Object} stream - Stream returned by `getVideoStream`.
+ * @returns {number|null} - Frames per second, or `null` when unknown.
+ */
+function frameRateOf(stream) {
+    // Rates are fractions like `30000/1001`; `avg_frame_rate` is `0/0` when ffprobe cannot tell
+    const rate = [stream && stream.avg_frame_rate, stream && stream.r_frame_rate]
+        .map((fraction) => {
+            const [numerator, denominator = 1] = String(fraction).split('/').map(Number);
+            return numerator / denominator;
+        })
+        .find((value) => Number.isFinite(value) && value > 0);
+    return rate || null;
+}
 
-                if (silenceStartMatch) {
-                    silenceTimes.push({ type: 'start', time: parseFloat(silenceStartMatch[1]) });
-                    debugLog(`Detected silence start at: ${silenceStartMatch[1]} seconds`);
-                }
-                if (silenceEndMatch) {
-                    silenceTimes.push({ type: 'end', time: parseFloat(silenceEndMatch[1]) });
-                    debugLog(`Detected silence end at: ${silenceEndMatch[1]} seconds`);
+/**
+ * Get the frame rate of the first video stream of a media file.
+ * 
+ * @param {string} filePath - Path to the media file.
+ * @returns {Promise} - Resolves with the frames per second, or `null` when the file has no
+ *   video stream or its rate is unknown.
+ */
+function getFrameRate(filePath) {
+    debugLog(`Getting frame rate for: ${filePath}`);
+    return getVideoStream(filePath).then((stream) => {
+        const rate = frameRateOf(stream);
+        debugLog(`Frame rate for ${filePath}: ${rate}`);
+        return rate;
+    });
+}
+
+/**
+ * List the keyframe timestamps of the first video stream. Only keyframes are
+ * decoded (`-skip_frame nokey`), so this takes a fraction of a full decode.
+ * 
+ * @param {string} videoPath - Path to the video file.
+ * @param {Object} [options] - Scan options.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with the keyframe times in seconds, in ascending order.
+ */
+function getKeyframes(videoPath, { signal } = {}) {
+    debugLog(`Listing keyframes of: ${videoPath}`);
+    return new Promise((resolve, reject) => {
+        const keyframes = [];
+
+        watchAbort(ffmpeg(videoPath), signal)
+            .inputOptions('-skip_frame', 'nokey')
+            .outputOptions('-map', '0:v:0')
+            .videoFilters('showinfo')
+            .addOption('-f', 'null')
+            .on('stderr', (line) => {
+                const match = line.match(/Parsed_showinfo.*\bpts_time:\s*(-?\d+(?:\.\d+)?)/);
+                if (match) {
+                    keyframes.push(Math.max(parseFloat(match[1]), 0));
                 }
             })
             .on('end', () => {
-                debugLog(`Silence detection complete for: ${audioPath}`);
-                resolve(silenceTimes);
+                debugLog(`Found ${keyframes.length} keyframes in ${videoPath}`);
+                resolve(keyframes.sort((a, b) => a - b));
             })
             .on('error', (err) => {
-                debugLog(`Error in silence detection: ${err.message}`);
-                reject(err);
+                debugLog(`Error listing keyframes: ${err.message}`);
+                reject(toAbortError(err, signal));
             })
             .output('nowhere')
-            .run(); // Execute the command
+            .run();
     });
 }
 
-
 /**
- * Adds silence to the audio to align with the video length.
- * 
- * @param {string} audioPath - Path to the audio file.
- * @param {number} videoDuration - Duration of the video in seconds.
- * @param {string} outputAudioPath - Path to save the extended audio file.
- * @returns {Promise} - Resolves when the audio is extended and saved.
+ * Read a number printed by ffprobe, which prints `N/A` for unknown values.
  */
-function extendAudioWithSilence(audioPath, videoDuration, outputAudioPath) {
-    debugLog(`Extending audio with silence: ${audioPath}`);
-    return detectSilences(audioPath)
-        .then((silenceTimes) => {
-            // Split the audio into chunks based on silence
-            const audioChunks = [];
-            let lastEndTime = 0;
-
-            // Create chunks of audio between silences
-            silenceTimes.forEach((silence) => {
-                if (silence.type === 'start') {
-                    // Create a chunk from the last end time to the start of the silence
-                    if (lastEndTime < silence.time) {
-                        audioChunks.push({
-                            start: lastEndTime,
-                            end: silence.time
-                        });
-                    }
-                } else if (silence.type === 'end') {
-                    lastEndTime = silence.time; // Update last end time to the end of the current silence
-                }
-            });
-
-            // Add the last chunk if there is audio after the last silence
-            const audioDuration = lastEndTime; // Use the end time of the last silence as total audio duration
-            if (audioDuration > lastEndTime) {
-                audioChunks.push({
-                    start: lastEndTime,
-                    end: audioDuration
-                });
-            }
-
-            debugLog(`Detected ${audioChunks.length} audio chunks between silences.`);
-
-            // Calculate total silence needed
-            const totalSilenceNeeded = videoDuration - audioDuration;
-            const silencePerChunk = totalSilenceNeeded / audioChunks.length; // Divide silence among chunks
-            debugLog(`Total silence needed: ${totalSilenceNeeded} seconds. Silence per chunk: ${silencePerChunk} seconds.`);
-
-            return Promise.all(audioChunks.map((chunk, index) => {
-                const chunkAudioPath = path.join(__dirname, `chunk-${index}.mp3`);
-
-                // Create the audio chunk file
-                return new Promise((resolve, reject) => {
-                    ffmpeg(audioPath)
-                        .setStartTime(chunk.start)
-                        .setDuration(chunk.end - chunk.start)
-                        .save(chunkAudioPath)
-                        .on('end', () => {
-                            debugLog(`Created audio chunk: ${chunkAudioPath}`);
-                            resolve({ chunkAudioPath, silenceDuration: Math.min(silencePerChunk, 5) }); // Pass the silence duration
-                        })
-                        .on('error', (err) => {
-                            debugLog(`Error creating audio chunk: ${err.message}`);
-                            reject(err);
-                        });
-                });
-            }))
-                .then((chunkResults) => {
-                    // Merge all audio chunks with their corresponding silence
-                    return Promise.all(chunkResults.map(({ chunkAudioPath, silenceDuration }, index) => {
-                        return new Promise((resolve, reject) => {
-                            const mergedFilePath = path.join(__dirname, `merged-${index}.mp3`);
-
-                            // Merge the chunk and silence into a single file directly
-                            ffmpeg()
-                                .input(chunkAudioPath)
-                                .outputOptions(`-filter_complex`, `anullsrc=r=44100:cl=stereo:d=${silenceDuration}[silence];[0:a][silence]concat=n=2:v=0:a=1[out]`) // Concatenate audio chunk and silence
-                                .outputOptions('-map', '[out]')
-                                .save(mergedFilePath)
-                                .on('end', () => {
-                                    debugLog(`Merged audio chunk with silence: ${mergedFilePath}`);
-                                    resolve(mergedFilePath);
-                                })
-                                .on('error', (err) => {
-                                    debugLog(`Error merging audio chunk: ${err.message}`);
-                                    reject(err);
-                                });
-                        });
-                    }));
-                })
-                .then((mergedFiles) => {
-                    // Final merge of all merged files into one output
-                    return new Promise((resolve, reject) => {
-                        const finalOutputFile = outputAudioPath;
-
-                        // Create a new ffmpeg command
-                        const ffmpegCommand = ffmpeg();
-
-                        // Add each merged file as input
-                        mergedFiles.forEach((file) => {
-                            ffmpegCommand.input(file);
-                        });
-
-                        ffmpegCommand
-                            .outputOptions(`-filter_complex`, `concat=n=${mergedFiles.length}:v=0:a=1[out]`)
-                            .outputOptions('-map', '[out]')
-                            .save(finalOutputFile)
-                            .on('end', () => {
-                                debugLog(`Extended audio saved: ${finalOutputFile}`);
-                                resolve(finalOutputFile);
-                            })
-                            .on('error', (err) => {
-                                debugLog(`Error merging final audio: ${err.message}`);
-                                reject(err);
-                            });
-                    });
-                });
-
-        });
+function probeNumber(value) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
 }
 
+/**
+ * Turn a raw ffprobe stream into the typed description returned by `probeMedia`.
+ */
+function describeStream(stream) {
+    const info = {
+        index: stream.index,
+        type: stream.codec_type,
+        codec: stream.codec_name || null,
+        bitrate: probeNumber(stream.bit_rate),
+        duration: probeNumber(stream.duration)
+    };
 
+    if (stream.codec_type === 'video') {
+        // Older files carry a `rotate` tag, newer ones display matrix side data rotating the other way
+        const tagged = stream.tags && stream.tags.rotate !== undefined;
+        const rotation = tagged ? Number(stream.tags.rotate) : -(probeNumber(stream.rotation) || 0);
+        Object.assign(info, {
+            width: probeNumber(stream.width),
+            height: probeNumber(stream.height),
+            fps: frameRateOf(stream),
+            pixelFormat: stream.pix_fmt || null,
+            rotation: ((Math.round(rotation) % 360) + 360) % 360,
+            // Cover art in audio files shows up as a single-frame video stream
+            attachedPicture: Boolean(stream.disposition && stream.disposition.attached_pic)
+        });
+    } else if (stream.codec_type === 'audio') {
+        Object.assign(info, {
+            sampleRate: probeNumber(stream.sample_rate),
+            channels: probeNumber(stream.channels),
+            channelLayout: stream.channel_layout || null
+        });
+    }
 
-
+    return info;
+}
 
 /**
- * Loop the video to match the length of the audio if the video is shorter.
+ * Measure the duration of a media file by decoding all of it, for files whose
+ * container does not tell (streamed MP3s, some WebM files).
  * 
- * @param {string} videoPath - Path to the video file.
- * @param {number} videoDuration - Duration of the video in seconds.
- * @param {number} audioDuration - Duration of the audio in seconds.
- * @param {string} outputLoopedVideoPath - Path to save the looped video.
- * @returns {Promise} - Resolves when the video is looped and saved.
+ * @param {string} filePath - Path to the media file.
+ * @param {Object} [options] - Measurement options.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with the duration in seconds, or `null` when nothing was decoded.
  */
-function loopVideo(videoPath, videoDuration, audioDuration, outputLoopedVideoPath) {
-    debugLog(`Looping video: ${videoPath}`);
+function measureDuration(filePath, { signal } = {}) {
+    debugLog(`Decoding ${filePath} to measure its duration`);
     return new Promise((resolve, reject) => {
-        if (audioDuration <= videoDuration) {
-            debugLog(`No need to loop video, returning original: ${videoPath}`);
-            return resolve(videoPath);  // No need to loop, return the original video
-        }
-
-        const loopCount = Math.ceil(audioDuration / videoDuration); // How many times to loop
-        debugLog(`Looping video ${loopCount} times to match audio length`);
+        let duration = NaN;
 
-        ffmpeg()
-            .input(videoPath)
-            .inputOptions(`-stream_loop ${loopCount - 1}`)  // Loop the video (input option)
-            .outputOptions('-t', audioDuration)  // Trim the looped video to match audio length (output option)
-            .save(outputLoopedVideoPath)
+        watchAbort(ffmpeg(filePath), signal)
+            .addOption('-f', 'null')
+            .on('stderr', (line) => {
+                // The last progress line holds the time of the end of the decoded streams
+                const match = line.match(/time=\s*(\d+:\d+:\d+(?:\.\d+)?)/);
+                if (match) {
+                    duration = timemarkToSeconds(match[1]);
+                }
+            })
             .on('end', () => {
-                debugLog(`Looped video saved: ${outputLoopedVideoPath}`);
-                resolve(outputLoopedVideoPath);
+                debugLog(`Decoded duration for ${filePath}: ${duration} seconds`);
+                resolve(duration > 0 ? duration : null);
             })
             .on('error', (err) => {
-                debugLog(`Error looping video: ${err.message}`);
-                reject(err);
-            });
+                debugLog(`Error measuring duration: ${err.message}`);
+                reject(toAbortError(err, signal));
+            })
+            .output('nowhere')
+            .run();
     });
 }
 
 /**
- * Merges the extended audio with the video.
+ * Describe a media file and each of its streams.
  * 
- * @param {string} videoPath - Path to the video file.
- * @param {string} extendedAudioPath - Path to the extended audio file.
- * @param {string} outputVideoPath - Path to save the merged output video.
- * @returns {Promise} - Resolves when the merge is complete.
+ * The duration comes from the container, then from the longest stream, and when
+ * neither knows it (or `exactDuration` is set) from decoding the whole file.
+ * 
+ * @param {string} filePath - Path to the media file.
+ * @param {Object} [options] - Probe options.
+ * @param {boolean} [options.exactDuration=false] - Always decode the file to measure the
+ *   duration, for containers that only estimate it (such as MP3 without a header).
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with `{ path, format, image, duration, durationSource, bitrate, size,
+ *   streams, video, audio }`. `image` is `true` for a still picture (PNG, JPEG...), which has
+ *   no duration. `durationSource` is `format`, `stream` or `decoded`; `video` and
+ *   `audio` are the first video stream (not counting cover art) and audio stream, or `null`.
+ *   Every stream has `index`, `type`, `codec`, `bitrate` and `duration`; video streams add
+ *   `width`, `height`, `fps`, `pixelFormat`, `rotation` (clockwise degrees) and `attachedPicture`,
+ *   audio streams `sampleRate`, `channels` and `channelLayout`. Unknown values are `null`.
+ *   Rejects with a `MediaError` (`ERR_INPUT_NOT_FOUND` or `ERR_PROBE_FAILED`) when the file
+ *   cannot be read.
  */
-function mergeAudioVideo(videoPath, extendedAudioPath, outputVideoPath) {
-    debugLog(`Merging video: ${videoPath} with audio: ${extendedAudioPath}`);
-    return new Promise((resolve, reject) => {
-        ffmpeg()
-            .input(videoPath)
-            .input(extendedAudioPath)
-            .outputOptions('-c:v copy')  // Copy video codec without re-encoding
-            .outputOptions('-c:a aac')   // Re-encode audio to AAC
-            .save(outputVideoPath)
-            .on('end', () => {
-                debugLog(`Merged video saved: ${outputVideoPath}`);
-                resolve(outputVideoPath);
-            })
-            .on('error', (err) => {
-                debugLog(`Error merging audio and video: ${err.message}`);
-                reject(err);
-            });
-    });
-}
+async function probeMedia(filePath, { exactDuration = false, signal } = {}) {
+    debugLog(`Probing: ${filePath}`);
+    throwIfAborted(signal);
 
-async function cleanUp() {
     try {
-        // List all files in the current directory
-        const files = fs.readdirSync(__dirname);
+        await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch (err) {
+        throw new MediaError(`Cannot open "${filePath}": ${err.code === 'ENOENT' ? 'no such file' : err.message}`, 'ERR_INPUT_NOT_FOUND', { cause: err });
+    }
 
-        // Filter out files that match the naming pattern for chunks and merged files
-        const patterns = ['chunk-', 'merged-', 'extended-audio.mp3', 'looped-video.mp4'];
-        const filesToDelete = files.filter(file =>
-            patterns.some(pattern => file.includes(pattern))
-        );
+    const metadata = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, data) => {
+            if (err) {
+                debugLog(`Error probing ${filePath}: ${err.message}`);
+                return reject(new MediaError(`"${filePath}" is not a media file ffmpeg can read`, 'ERR_PROBE_FAILED', { cause: err }));
+            }
+            resolve(data);
+        });
+    });
+    throwIfAborted(signal);
 
-        // Delete each file found
-        for (const file of filesToDelete) {
-            const filePath = path.join(__dirname, file);
-            fs.unlinkSync(filePath);
-            debugLog(`Deleted file: ${filePath}`);
+    const streams = metadata.streams.map(describeStream);
+    // Pictures are read by the image2 demuxer or one of the `<codec>_pipe` ones and have no length
+    const image = /^(image2|\w+_pipe)$/.test(metadata.format.format_name || '');
+    let duration = probeNumber(metadata.format.duration);
+    let durationSource = 'format';
+    if (image) {
+        duration = null;
+        durationSource = null;
+    } else {
+        if (!(duration > 0)) {
+            duration = Math.max(0, ...streams.map((stream) => stream.duration || 0));
+            durationSource = 'stream';
+        }
+        if (!(duration > 0) || exactDuration) {
+            duration = await measureDuration(filePath, { signal });
+            durationSource = 'decoded';
         }
-
-        debugLog('Cleanup completed successfully.');
-    } catch (err) {
-        debugLog(`Error during cleanup: ${err.message}`);
     }
+
+    const info = {
+        path: filePath,
+        format: metadata.format.format_name || null,
+        image,
+        duration: duration > 0 ? duration : null,
+        durationSource,
+        bitrate: probeNumber(metadata.format.bit_rate),
+        size: probeNumber(metadata.format.size),
+        streams,
+        video: streams.find((stream) => stream.type === 'video' && !stream.attachedPicture) || null,
+        audio: streams.find((stream) => stream.type === 'audio') || null
+    };
+    debugLog(`Probed ${filePath}: ${streams.length} streams, ${info.duration} seconds (${durationSource})`);
+    return info;
 }
 
-async function processMedia() {
-    try {
-        const videoDuration = await getDuration(videoFilePath);
-        const audioDuration = await getDuration(audioFilePath);
+/**
+ * Probe a merge input and check that it has the stream the merge needs and a known duration,
+ * which a still picture does not need.
+ * 
+ * @param {string} filePath - Path to the input file.
+ * @param {string} kind - `video` or `audio`, the stream the input must provide.
+ * @param {Object} [options] - `probeMedia` options.
+ * @param {string} [name=kind] - Name of the input in error messages.
+ * @returns {Promise} - Resolves with the `probeMedia` result, rejects with a `MediaError`.
+ */
+async function probeInput(filePath, kind, options, name = kind) {
+    const info = await probeMedia(filePath, options);
+    if (!info[kind]) {
+        const code = kind === 'video' ? 'ERR_NO_VIDEO_STREAM' : 'ERR_NO_AUDIO_STREAM';
+        throw new MediaError(`The ${name} input "${filePath}" has no ${kind} stream`, code);
+    }
+    // A picture has no duration, it is shown for as long as needed
+    if (!info.duration && !info.image) {
+        throw new MediaError(`The duration of the ${name} input "${filePath}" is unknown`, 'ERR_UNKNOWN_DURATION');
+    }
+    return info;
+}
 
-        debugLog(`Video duration: ${videoDuration} seconds, Audio duration: ${audioDuration} seconds`);
+/**
+ * Read a dB value printed by ffmpeg, which may be `-inf` for digital silence.
+ * 
+ * @param {string} value - Value as printed by ffmpeg.
+ * @returns {number} - The value in dB.
+ */
+function parseDecibels(value) {
+    if (value === '-inf') return -Infinity;
+    if (value === 'inf') return Infinity;
+    return parseFloat(value);
+}
 
-        let finalAudioPath = audioFilePath;
-        let finalVideoPath = videoFilePath;
+/**
+ * Measure the loudness of an audio file with the `astats` filter.
+ * 
+ * @param {string} audioPath - Path to the audio file.
+ * @param {Object} [options] - Measurement options.
+ * @param {Function} [options.onProgress] - Called with the percentage of the audio analysed so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with `{ rmsLevel, rmsTrough, peakLevel }` in dB over all channels.
+ */
+function measureLoudness(audioPath, { onProgress, signal } = {}) {
+    debugLog(`Measuring loudness of: ${audioPath}`);
+    return new Promise((resolve, reject) => {
+        const stats = {};
 
-        if (audioDuration > videoDuration) {
-            finalVideoPath = await loopVideo(videoFilePath, videoDuration, audioDuration, outputLoopedVideoPath);
-        } else if (videoDuration > audioDuration) {
-            finalAudioPath = await extendAudioWithSilence(audioFilePath, videoDuration, extendedAudioPath);
-        }
+        watchAbort(trackProgress(ffmpeg(audioPath), onProgress), signal)
+            .audioFilters('astats=metadata=0')
+            .addOption('-f', 'null')
+            .on('stderr', (line) => {
+                // astats prints every channel and then the overall figures, so the last value wins
+                const match = line.match(/(RMS level|RMS trough|Peak level) dB: (\S+)/);
+                if (match) {
+                    stats[match[1]] = parseDecibels(match[2]);
+                }
+            })
+            .on('end', () => {
+                const loudness = {
+                    rmsLevel: stats['RMS level'],
+                    rmsTrough: stats['RMS trough'],
+                    peakLevel: stats['Peak level']
+                };
+                debugLog(`Loudness of ${audioPath}: ${JSON.stringify(loudness)}`);
+                resolve(loudness);
+            })
+            .on('error', (err) => {
+                debugLog(`Error measuring loudness: ${err.message}`);
+                reject(toAbortError(err, signal));
+            })
+            .output('nowhere')
+            .run();
+    });
+}
 
-        const outputPath = await mergeAudioVideo(finalVideoPath, finalAudioPath, outputVideoWithAudioPath);
+/**
+ * Pick a silence threshold from measured loudness: a quarter of the way from the
+ * noise floor (quietest RMS window) up to the average level, clamped to -70..-20 dB.
+ * 
+ * @param {Object} loudness - Result of `measureLoudness`.
+ * @returns {number} - Threshold in dB.
+ */
+function pickSilenceThreshold({ rmsLevel, rmsTrough }) {
+    const noiseFloor = Number.isFinite(rmsTrough) ? rmsTrough : -90;
+    const level = Number.isFinite(rmsLevel) ? Math.max(rmsLevel, noiseFloor) : -20;
+    const threshold = noiseFloor + (level - noiseFloor) / 4;
+    return Math.round(Math.min(-20, Math.max(-70, threshold)) * 10) / 10;
+}
 
-        console.log(`Merged video created at: ${outputPath}`);
-    } catch (err) {
-        console.error('Error processing files:', err);
-    } finally {
-        // Call cleanUp function to delete temporary files
-        await cleanUp();
+/**
+ * Turn the `silenceThreshold` option into a number of dB, measuring the file
+ * when it is `auto`.
+ * 
+ * @param {string} audioPath - Path to the audio file.
+ * @param {Object} [options] - `silenceThreshold` (number or `auto`) plus the `measureLoudness` options.
+ * @returns {Promise} - Resolves with the threshold in dB.
+ */
+async function resolveSilenceThreshold(audioPath, { silenceThreshold = -50, ...options } = {}) {
+    if (silenceThreshold !== 'auto') {
+        if (!Number.isFinite(silenceThreshold)) {
+            throw new OptionError(`silenceThreshold must be a number of dB or "auto", got ${silenceThreshold}`);
+        }
+        return silenceThreshold;
     }
 
+    const threshold = pickSilenceThreshold(await measureLoudness(audioPath, options));
+    debugLog(`Picked silence threshold for ${audioPath}: ${threshold} dB`);
+    return threshold;
 }
 
-// Scenario 1 - when the input video is shorter than the audio, the video should loop
-const videoFilePath = path.join(__dirname, 'input-video.mp4');
-// Scenario 2 - when the input audio is shorter than the video, the audio should be extended
-//const videoFilePath = path.join(__dirname, 'looped-input-video.mp4');
+/**
+ * Detect silent pauses in the audio using FFmpeg.
+ * 
+ * @param {string} audioPath - Path to the audio file.
+ * @param {Object} [options] - Silence detection options.
+ * @param {number|string} [options.silenceThreshold=-50] - Noise floor in dB below which audio counts
+ *   as silence, or `auto` to pick it from the measured loudness of the file.
+ * @param {number} [options.minSilence=0.5] - Minimum length in seconds of a detected silence.
+ * @param {Function} [options.onProgress] - Called with the percentage of the audio analysed so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with the silences as `{ start, end, duration }` intervals, in order.
+ *   A silence running until the end of the file ends at the file's duration.
+ */
+async function detectSilences(audioPath, options = {}) {
+    const { minSilence = 0.5, onProgress, signal } = options;
 
-const audioFilePath = path.join(__dirname, 'input-audio.mp3');
-const outputVideoWithAudioPath = path.join(__dirname, 'output-video-with-audio.mp4');
+    // In auto mode measuring the loudness is the first half of the work
+    let onDetectionProgress = onProgress;
+    if (options.silenceThreshold === 'auto' && onProgress) {
+        onDetectionProgress = (percent) => onProgress(50 + percent / 2);
+    }
+    const silenceThreshold = await resolveSilenceThreshold(audioPath, {
+        silenceThreshold: options.silenceThreshold,
+        onProgress: onProgress && ((percent) => onProgress(percent / 2)),
+        signal
+    });
 
-const outputLoopedVideoPath = path.join(__dirname, 'looped-video.mp4');
-const extendedAudioPath = path.join(__dirname, 'extended-audio.mp3');
+    debugLog(`Detecting silences in audio: ${audioPath}`);
+    return new Promise((resolve, reject) => {
+        const silences = [];
+        let silenceStart = null;
+        let audioDuration = null;
 
+        // Run the FFmpeg command with the silencedetect filter
+        watchAbort(trackProgress(ffmpeg(audioPath), onDetectionProgress), signal)
+            .audioFilters(`silencedetect=n=${silenceThreshold}dB:d=${minSilence}`) // Set the silence detection parameters
+            .addOption('-f', 'null')  // set format to null 
+            .on('codecData', (data) => {
+                audioDuration = timemarkToSeconds(data.duration);
+            })
+            .on('progress', (progress) => {
+                // The last timemark is the most accurate duration when the header has none
+                const time = timemarkToSeconds(progress.timemark);
+                if (Number.isFinite(time) && !(time <= audioDuration)) {
+                    audioDuration = time;
+                }
+            })
+            .on('stderr', (line) => {
+                // Match and capture silence start and end times
+                const silenceStartMatch = line.match(/silence_start: (-?\d+(?:\.\d+)?)/);
+                const silenceEndMatch = line.match(/silence_end: (-?\d+(?:\.\d+)?)/);
 
-// Start processing
-processMedia();
+                if (silenceStartMatch) {
+                    silenceStart = Math.max(0, parseFloat(silenceStartMatch[1]));
+                    debugLog(`Detected silence start at: ${silenceStart} seconds`);
+                }
+                if (silenceEndMatch && silenceStart !== null) {
+                    const end = parseFloat(silenceEndMatch[1]);
+                    silences.push({ start: silenceStart, end, duration: end - silenceStart });
+                    silenceStart = null;
+                    debugLog(`Detected silence end at: ${end} seconds`);
+                }
+            })
+            .on('end', () => {
+                // A silence that lasts until the end of the file never gets a silence_end
+                if (silenceStart !== null && Number.isFinite(audioDuration) && audioDuration > silenceStart) {
+                    silences.push({ start: silenceStart, end: audioDuration, duration: audioDuration - silenceStart });
+                    debugLog(`Trailing silence from ${silenceStart} seconds to the end`);
+                }
+                debugLog(`Silence detection complete for: ${audioPath}, ${silences.length} silences found`);
+                resolve(silences);
+            })
+            .on('error', (err) => {
+                debugLog(`Error in silence detection: ${err.message}`);
+                reject(toAbortError(err, signal));
+            })
+            .output('nowhere')
+            .run(); // Execute the command
+    });
+}
+
+// Where padding that does not fit into the pauses goes
+const PAD_REMAINDERS = ['end', 'start', 'proportional'];
+
+// Silences closer than this to the start or end of the audio are not pauses between speech
+const EDGE_TOLERANCE = 0.01;
+
+/**
+ * Plan how to lengthen audio to a target duration by inserting silence into its pauses.
+ * 
+ * Every pause between speech gets the same share of the padding, at most `maxPause`
+ * seconds, inserted in its middle. Padding that does not fit is added at the end,
+ * at the start, or spread over the pauses in proportion to their length. The
+ * original audio is always kept in full.
+ * 
+ * @param {Object} params - Planning parameters.
+ * @param {number} params.audioDuration - Duration of the original audio in seconds.
+ * @param {number} params.targetDuration - Duration the result must have.
+ * @param {Array} params.silences - Silences found by `detectSilences`.
+ * @param {number} [params.maxPause=5] - Maximum silence added to a single pause.
+ * @param {string} [params.padRemainder='end'] - `end`, `start` or `proportional`.
+ * @returns {Array} - Ordered segments: `{ type: 'audio', start, end }` ranges of the
+ *   original audio and `{ type: 'silence', duration }` insertions.
+ */
+function planSilencePadding({ audioDuration, targetDuration, silences, maxPause = 5, padRemainder = 'end' }) {
+    if (!PAD_REMAINDERS.includes(padRemainder)) {
+        throw new OptionError(`Unknown padRemainder "${padRemainder}", expected one of: ${PAD_REMAINDERS.join(', ')}`);
+    }
+
+    const pauses = silences.filter((silence) =>
+        silence.start > EDGE_TOLERANCE && silence.end < audioDuration - EDGE_TOLERANCE);
+    const totalPadding = Math.max(0, targetDuration - audioDuration);
+
+    // Share the padding equally between the pauses, capped at maxPause each
+    const perPause = pauses.length > 0 ? Math.min(totalPadding / pauses.length, maxPause) : 0;
+    const padding = pauses.map(() => perPause);
+    const remainder = totalPadding - perPause * pauses.length;
+
+    let leading = 0;
+    let trailing = 0;
+    if (remainder > 0) {
+        if (padRemainder === 'proportional' && pauses.length > 0) {
+            const totalPauseLength = pauses.reduce((sum, pause) => sum + pause.duration, 0);
+            pauses.forEach((pause, index) => {
+                const share = totalPauseLength > 0 ? pause.duration / totalPauseLength : 1 / pauses.length;
+                padding[index] += remainder * share;
+            });
+        } else if (padRemainder === 'start') {
+            leading = remainder;
+        } else {
+            trailing = remainder;
+        }
+    }
+
+    const segments = [];
+    if (leading > 0) {
+        segments.push({ type: 'silence', duration: leading });
+    }
+
+    let cursor = 0;
+    pauses.forEach((pause, index) => {
+        const cut = (pause.start + pause.end) / 2;
+        segments.push({ type: 'audio', start: cursor, end: cut });
+        if (padding[index] > 0) {
+            segments.push({ type: 'silence', duration: padding[index] });
+        }
+        cursor = cut;
+    });
+    segments.push({ type: 'audio', start: cursor, end: audioDuration });
+
+    if (trailing > 0) {
+        segments.push({ type: 'silence', duration: trailing });
+    }
+
+    return segments;
+}
+
+/**
+ * Build the filtergraph that renders a padding plan in one pass: the audio is
+ * split into one branch per audio segment, each branch is trimmed to its range
+ * and padded with the silence that follows it, and the branches are joined again.
+ * 
+ * @param {Array} segments - Plan returned by `planSilencePadding`.
+ * @param {number} targetDuration - Exact duration of the result in seconds.
+ * @returns {string} - Filtergraph reading `[0:a]` and writing `[out]`.
+ */
+function buildPaddingFilter(segments, targetDuration) {
+    const branches = [];
+    segments.forEach((segment) => {
+        if (segment.type === 'audio') {
+            branches.push({ start: segment.start, end: segment.end, delay: 0, padding: 0 });
+        } else if (branches.length === 0) {
+            // Silence before the first audio segment delays it
+            branches.push({ delay: segment.duration, padding: 0, pending: true });
+        } else {
+            branches[branches.length - 1].padding += segment.duration;
+        }
+    });
+
+    // Fold a leading delay into the audio segment it precedes
+    const leading = branches.length > 0 && branches[0].pending ? branches.shift() : null;
+    if (leading) {
+        branches[0].delay = leading.delay;
+    }
+
+    const filters = [`[0:a]asplit=${branches.length}${branches.map((branch, index) => `[a${index}]`).join('')}`];
+    branches.forEach((branch, index) => {
+        // The last branch runs to the real end of the file, whatever the probed duration said
+        const trim = index === branches.length - 1 ? `atrim=start=${branch.start}` : `atrim=start=${branch.start}:end=${branch.end}`;
+        const steps = [trim, 'asetpts=PTS-STARTPTS'];
+        if (branch.delay > 0) {
+            steps.push(`adelay=delays=${branch.delay * 1000}:all=1`);
+        }
+        if (branch.padding > 0) {
+            steps.push(`apad=pad_dur=${branch.padding}`);
+        }
+        filters.push(`[a${index}]${steps.join(',')}[s${index}]`);
+    });
+
+    // Pad or cut the joined result to the exact target length to absorb rounding in the cuts
+    const labels = branches.map((branch, index) => `[s${index}]`).join('');
+    filters.push(`${labels}concat=n=${branches.length}:v=0:a=1,apad=whole_dur=${targetDuration},atrim=duration=${targetDuration}[out]`);
+
+    return filters.join(';');
+}
+
+/**
+ * Describe where the audio input ends up in the output: its pieces in output order with the
+ * inserted silences between them, stretched by `stretch` and cut at `duration`.
+ * 
+ * @param {Object} params - What was done to the audio.
+ * @param {number} params.audioDuration - Duration of the audio input in seconds.
+ * @param {number} params.duration - Duration of the output in seconds.
+ * @param {Array} [params.padding] - Plan from `planSilencePadding` when the audio was extended.
+ * @param {number} [params.stretch=1] - Length of the stretched audio divided by the original length.
+ * @returns {Array} - Segments covering the output from 0 to `duration`, each with its output `start`
+ *   and `end` in seconds and a `type`: `audio` segments add the `sourceStart` and `sourceEnd` they
+ *   were taken from, `silence` segments are gaps with no audio input behind them.
+ */
+function planTimingMap({ audioDuration, duration, padding = null, stretch = 1 }) {
+    const pieces = padding || [{ type: 'audio', start: 0, end: audioDuration }];
+    const timing = [];
+    let cursor = 0;
+    for (const piece of pieces) {
+        if (cursor >= duration) break;
+        if (piece.type === 'silence') {
+            const end = Math.min(cursor + piece.duration, duration);
+            timing.push({ type: 'silence', start: cursor, end });
+            cursor = end;
+        } else {
+            const end = Math.min(cursor + (piece.end - piece.start) * stretch, duration);
+            timing.push({ type: 'audio', start: cursor, end, sourceStart: piece.start, sourceEnd: piece.start + (end - cursor) / stretch });
+            cursor = end;
+        }
+    }
+    // Whatever the audio does not reach, such as a longer video that was not looped
+    if (cursor < duration) {
+        timing.push({ type: 'silence', start: cursor, end: duration });
+    }
+    return timing;
+}
+
+/**
+ * Convert a timestamp of the audio input into the output through a timing map.
+ * 
+ * @param {Array} timing - Timing map, as in the `timing` of a `mergeMedia` result.
+ * @param {number} seconds - Time in the audio input.
+ * @returns {number|null} - Time in the output, or `null` when that moment was cut from the output.
+ */
+function mapTime(timing, seconds) {
+    const audio = timing.filter((segment) => segment.type === 'audio');
+    // A moment on a cut belongs to the piece after it, the very end of the audio to the last one
+    const segment = audio.find((candidate) => seconds < candidate.sourceEnd) || audio[audio.length - 1];
+    if (!segment || !(seconds >= segment.sourceStart && seconds <= segment.sourceEnd)) {
+        return null;
+    }
+    const length = segment.sourceEnd - segment.sourceStart;
+    const scale = length > 0 ? (segment.end - segment.start) / length : 1;
+    return segment.start + (seconds - segment.sourceStart) * scale;
+}
+
+/**
+ * Adds silence to the audio to align with the video length.
+ * 
+ * All of the original audio is kept; the padding is spread over the detected
+ * pauses (see `planSilencePadding`) and the result is cut or padded to exactly
+ * `videoDuration`. The audio is rendered by a single ffmpeg run, without
+ * intermediate files.
+ * 
+ * @param {string} audioPath - Path to the audio file.
+ * @param {number} videoDuration - Duration of the video in seconds.
+ * @param {string} outputAudioPath - Path to save the extended audio file.
+ * @param {Object} [options] - Extension options, also passed on to `detectSilences`.
+ * @param {number} [options.maxPause=5] - Maximum silence in seconds added to a single pause.
+ * @param {string} [options.padRemainder='end'] - Where padding that does not fit into the pauses goes:
+ *   `end`, `start` or `proportional` (spread over the pauses, ignoring `maxPause`).
+ * @param {number} [options.audioDuration] - Duration of the audio, probed when omitted.
+ * @param {Array} [options.silences] - Silences found by `detectSilences`, detected here when omitted.
+ * @param {Array} [options.segments] - Padding plan from `planSilencePadding`, planned here when omitted.
+ *   Pass it to know where the pauses go, for example to move captions along.
+ * @param {Function} [options.onStage] - Called with `detecting-silence` (unless `silences` is given) and then `extending`.
+ * @param {Function} [options.onProgress] - Called with the overall percentage done, detection included.
+ * @param {AbortSignal} [options.signal] - Kills every running ffmpeg process and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves when the audio is extended and saved.
+ */
+function extendAudioWithSilence(audioPath, videoDuration, outputAudioPath, options = {}) {
+    const { maxPause = 5, padRemainder = 'end', onProgress, signal } = options;
+    debugLog(`Extending audio with silence: ${audioPath}`);
+
+    // Silence detection, when needed, makes up the first 30% of the progress, rendering the rest
+    const detectionShare = options.silences ? 0 : 30;
+    let detection;
+    if (options.silences) {
+        detection = Promise.resolve(options.silences);
+    } else {
+        reportStage(options, 'detecting-silence');
+        const onDetectionProgress = onProgress && ((percent) => onProgress((percent * detectionShare) / 100));
+        detection = detectSilences(audioPath, { ...options, onProgress: onDetectionProgress });
+    }
+    const probing = options.audioDuration > 0 ? Promise.resolve(options.audioDuration) : getDuration(audioPath);
+
+    return Promise.all([detection, probing])
+        .then(([silences, audioDuration]) => {
+            reportStage(options, 'extending');
+
+            const segments = options.segments || planSilencePadding({ audioDuration, targetDuration: videoDuration, silences, maxPause, padRemainder });
+            debugLog(`Extending ${audioDuration} seconds of audio to ${videoDuration} seconds in ${segments.length} segments.`);
+
+            const onRenderProgress = onProgress && ((percent) => onProgress(detectionShare + (percent * (100 - detectionShare)) / 100));
+            return new Promise((resolve, reject) => {
+                watchAbort(trackProgress(ffmpeg(audioPath), onRenderProgress, videoDuration), signal)
+                    .outputOptions('-filter_complex', buildPaddingFilter(segments, videoDuration))
+                    .outputOptions('-map', '[out]')
+                    .save(outputAudioPath)
+                    .on('end', () => {
+                        debugLog(`Extended audio saved: ${outputAudioPath}`);
+                        resolve(outputAudioPath);
+                    })
+                    .on('error', (err) => {
+                        debugLog(`Error extending audio: ${err.message}`);
+                        reject(toAbortError(err, signal));
+                    });
+            });
+        });
+}
+
+/**
+ * Work out how many iterations of the video cover the target length.
+ * 
+ * @param {number} videoDuration - Duration of one iteration in seconds.
+ * @param {number} targetDuration - Length to cover in seconds.
+ * @param {Object} [options] - Loop options.
+ * @param {number} [options.crossfade=0] - Seconds two iterations overlap.
+ * @param {boolean} [options.completeLoops=false] - Run the last iteration to its end
+ *   instead of cutting it at the target length.
+ * @returns {Object} - `{ count, duration }`: the number of iterations and the length of the result.
+ */
+function planLoops(videoDuration, targetDuration, { crossfade = 0, completeLoops = false } = {}) {
+    // Every iteration fades in and out, so it must outlast both crossfades
+    if (!(crossfade >= 0 && crossfade * 2 < videoDuration)) {
+        throw new OptionError('`crossfade` must be at least 0 and shorter than half of the video');
+    }
+    // Every iteration after the first adds its length minus the overlap
+    const step = videoDuration - crossfade;
+    const count = Math.max(Math.ceil((targetDuration - crossfade) / step - 1e-9), 1);
+    const fullDuration = count * step + crossfade;
+    return { count, duration: completeLoops ? fullDuration : Math.min(targetDuration, fullDuration) };
+}
+
+/**
+ * Build the filter chain that cuts `start` to `end` seconds out of a source, played
+ * backwards when the source is `reverse`d. Only the part that is used is reversed,
+ * as `reverse` keeps every frame it gets in memory.
+ */
+function sourceSegment(source, start, end) {
+    if (!source.reverse) {
+        return `trim=start=${start}:end=${end},setpts=PTS-STARTPTS`;
+    }
+    return `trim=start=${source.duration - end}:end=${source.duration - start},setpts=PTS-STARTPTS,reverse`;
+}
+
+/**
+ * Run an ffmpeg command writing `target`.
+ * 
+ * @param {Object} command - fluent-ffmpeg command with its inputs and options set.
+ * @param {string} target - Path to save the output.
+ * @param {string} label - What the command does, for the debug log.
+ * @param {AbortSignal} [signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with `target`.
+ */
+function saveCommand(command, target, label, signal) {
+    return new Promise((resolve, reject) => {
+        watchAbort(command, signal)
+            .save(target)
+            .on('end', () => resolve(target))
+            .on('error', (err) => {
+                debugLog(`Error ${label}: ${err.message}`);
+                reject(toAbortError(err, signal));
+            });
+    });
+}
+
+/**
+ * Play sources one after another, each blending into the next over `crossfade` seconds
+ * with an `xfade` transition, or cut together without one. Rather than reading every
+ * source once per appearance in one filtergraph, the result is split into pieces that
+ * take at most two sources each: the start of the first source, one piece per pair of
+ * neighbours (a source from the end of its fade-in to the end of its fade-out into the
+ * next one) and the rest of the last source. Each distinct piece is encoded once, and
+ * the concat demuxer repeats them in order without encoding them again.
+ * 
+ * @param {Array} sources - `{ path, duration, reverse }` of every source, `reverse` playing it backwards.
+ * @param {number[]} sequence - Indexes of the sources in play order.
+ * @param {number} duration - Length of the result in seconds.
+ * @param {string} outputPath - Path to save the result.
+ * @param {Object} [options] - `crossfade` (seconds), `transition` (one of `TRANSITIONS`), `outputOptions`
+ *   (encoder arguments shared by every piece), `onProgress` and `signal`.
+ * @returns {Promise} - Resolves with `outputPath`.
+ */
+async function renderSequence(sources, sequence, duration, outputPath, { crossfade = 0, transition = 'fade', outputOptions = [], onProgress, signal } = {}) {
+    // Every piece is a list of `[source, start, end]` segments, crossfaded when there are two
+    const pieces = new Map();
+    const order = [];
+    const addPiece = (key, segments) => {
+        if (!pieces.has(key)) pieces.set(key, segments);
+        order.push(key);
+    };
+    const last = sequence.length - 1;
+    if (crossfade > 0) {
+        addPiece(`start-${sequence[0]}`, [[sequence[0], 0, crossfade]]);
+    }
+    sequence.forEach((index, position) => {
+        const start = crossfade;
+        const end = sources[index].duration;
+        if (position === last) {
+            addPiece(`rest-${index}`, [[index, start, end]]);
+        } else if (crossfade > 0) {
+            const next = sequence[position + 1];
+            addPiece(`${index}-${next}`, [[index, start, end], [next, 0, crossfade]]);
+        } else {
+            addPiece(`rest-${index}`, [[index, 0, end]]);
+        }
+    });
+
+    const pieceLength = (segments) => segments[0][2] - segments[0][1];
+    const encodedLength = Array.from(pieces.values()).reduce((sum, segments) => sum + pieceLength(segments), 0);
+    const report = combineProgress(onProgress, { encoding: encodedLength, joining: duration / 10 });
+    debugLog(`Rendering ${sequence.length} sources from ${pieces.size} pieces into ${duration} seconds`);
+    const workspace = createWorkspace();
+    try {
+        const extension = path.extname(outputPath) || '.mp4';
+        const piecePaths = new Map();
+        let encodedSoFar = 0;
+        for (const [key, segments] of pieces) {
+            const piecePath = path.join(workspace, `piece-${piecePaths.size + 1}${extension}`);
+            const share = pieceLength(segments) / encodedLength;
+            const command = trackProgress(ffmpeg(), (percent) => report('encoding', encodedSoFar + percent * share), pieceLength(segments));
+            segments.forEach(([index]) => command.input(sources[index].path));
+            const chains = segments.map(([index, start, end], input) => `[${input}:v]${sourceSegment(sources[index], start, end)}[s${input}]`);
+            const joined = segments.length === 2
+                ? `[s0][s1]xfade=transition=${transition}:duration=${crossfade}:offset=${pieceLength(segments) - crossfade}[out]`
+                : '[s0]null[out]';
+            await saveCommand(command
+                .outputOptions('-filter_complex', [...chains, joined].join(';'), '-map', '[out]', '-an', ...outputOptions), piecePath, `encoding piece ${key}`, signal);
+            piecePaths.set(key, piecePath);
+            encodedSoFar += 100 * share;
+        }
+        report('encoding', 100);
+
+        const listPath = path.join(workspace, 'list.txt');
+        await fs.promises.writeFile(listPath, `${order.map((key) => concatListEntry(piecePaths.get(key))).join('\n')}\n`);
+        await saveCommand(trackProgress(ffmpeg(listPath), (percent) => report('joining', percent), duration)
+            .inputOptions('-f', 'concat', '-safe', '0')
+            .outputOptions('-c', 'copy', '-t', duration), outputPath, 'joining pieces', signal);
+        report('joining', 100);
+        return outputPath;
+    } finally {
+        removeWorkspace(workspace);
+    }
+}
+
+// Encoders for the re-encoded tail of a copied loop, by source codec. The tail must use
+// the same codec as the copied part for the concat demuxer to join them without re-encoding.
+const TAIL_ENCODERS = { h264: 'libx264', hevc: 'libx265', vp9: 'libvpx-vp9', mpeg4: 'mpeg4' };
+
+// The tail is encoded with its own parameter sets (SPS/PPS), which an MP4 only stores once
+// for the whole stream. These codecs are joined as MPEG-TS, where every keyframe carries them.
+const ANNEX_B_FILTERS = { h264: 'h264_mp4toannexb', hevc: 'hevc_mp4toannexb' };
+
+/**
+ * Quote a path for an ffmpeg concat list.
+ */
+function concatListEntry(filePath) {
+    return `file '${filePath.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Decode the video stream of a file from start to end, rejecting at the first damaged frame.
+ * ffmpeg happily writes a stream joined from parts that do not fit together, so this is the
+ * only way to tell that the result plays.
+ */
+function checkDecodes(filePath, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+        watchAbort(ffmpeg(filePath), signal)
+            .inputOptions('-err_detect', 'explode')
+            .outputOptions('-map', '0:v:0', '-xerror')
+            .addOption('-f', 'null')
+            .on('end', () => resolve(filePath))
+            .on('error', (err) => reject(toAbortError(err, signal)))
+            .output('nowhere')
+            .run();
+    });
+}
+
+/**
+ * Loop the video without re-encoding it. When the cut at `duration` falls on a
+ * keyframe, the looped video is stream-copied as a whole. Otherwise the concat
+ * demuxer copies everything up to the last keyframe before the cut and only the
+ * frames from that keyframe to the cut are re-encoded. The joined video is decoded
+ * once to make sure the re-encoded tail plays; `renderLoop` re-encodes the whole
+ * loop when it does not.
+ * 
+ * @returns {Promise} - Resolves with `copy` or `concat`, or `null` when the video
+ *   cannot be looped without a full re-encode.
+ */
+async function copyLoop(videoPath, videoDuration, count, duration, outputPath, { onProgress, signal } = {}) {
+    const stream = await getVideoStream(videoPath);
+    const keyframes = stream ? await getKeyframes(videoPath, { signal }) : [];
+    if (keyframes.length === 0) return null;
+
+    // A cut within half a frame of a keyframe counts as on it
+    const tolerance = 0.5 / (frameRateOf(stream) || 25);
+    const iterations = Math.floor(duration / videoDuration + 1e-9);
+    const remainder = duration - iterations * videoDuration;
+    const keyframe = keyframes.filter((time) => time <= remainder + tolerance).pop();
+
+    if (remainder <= tolerance || (keyframe !== undefined && remainder - keyframe <= tolerance)) {
+        debugLog(`Loop ends on a keyframe, copying ${count} iterations`);
+        await saveCommand(trackProgress(ffmpeg(videoPath), onProgress, duration)
+            .inputOptions(`-stream_loop ${count - 1}`)
+            .outputOptions('-map', '0:v:0', '-c', 'copy', '-t', duration), outputPath, 'copying loop', signal);
+        return 'copy';
+    }
+
+    const encoder = TAIL_ENCODERS[stream.codec_name];
+    if (!encoder || keyframe === undefined) return null;
+
+    debugLog(`Copying ${iterations} iterations and ${keyframe} seconds, re-encoding ${remainder - keyframe} seconds`);
+    const workspace = createWorkspace();
+    try {
+        // Work on a video-only copy so every concat entry has the same single stream
+        const annexB = ANNEX_B_FILTERS[stream.codec_name];
+        const extension = annexB ? '.ts' : path.extname(outputPath) || '.mp4';
+        const clipPath = path.join(workspace, `clip${extension}`);
+        const tailPath = path.join(workspace, `tail${extension}`);
+        const listPath = path.join(workspace, 'list.txt');
+
+        await saveCommand(ffmpeg(videoPath)
+            .outputOptions('-map', '0:v:0', '-c', 'copy')
+            .outputOptions(annexB ? ['-bsf:v', annexB] : []), clipPath, 'copying clip', signal);
+        await saveCommand(ffmpeg(clipPath)
+            .inputOptions('-ss', keyframe)
+            .outputOptions('-t', remainder - keyframe, '-c:v', encoder)
+            .outputOptions(stream.pix_fmt ? ['-pix_fmt', stream.pix_fmt] : []), tailPath, 'encoding loop tail', signal);
+
+        const entries = Array.from({ length: iterations }, () => concatListEntry(clipPath));
+        if (keyframe > 0) {
+            entries.push(concatListEntry(clipPath), `outpoint ${keyframe}`);
+        }
+        entries.push(concatListEntry(tailPath));
+        await fs.promises.writeFile(listPath, `${entries.join('\n')}\n`);
+
+        await saveCommand(trackProgress(ffmpeg(listPath), onProgress, duration)
+            .inputOptions('-f', 'concat', '-safe', '0')
+            .outputOptions('-c', 'copy'), outputPath, 'joining loop', signal);
+        await checkDecodes(outputPath, { signal });
+        return 'concat';
+    } finally {
+        removeWorkspace(workspace);
+    }
+}
+
+/**
+ * Loop the video with a full re-encode. Crossfaded or reversed iterations are rendered
+ * from a few pieces that are repeated, see `renderSequence`.
+ */
+function encodeLoop(videoPath, videoDuration, count, duration, outputPath, { crossfade = 0, boomerang = false, transition, onProgress, signal } = {}) {
+    if (crossfade > 0 || boomerang) {
+        const sources = [{ path: videoPath, duration: videoDuration }, { path: videoPath, duration: videoDuration, reverse: true }];
+        const sequence = Array.from({ length: count }, (value, index) => (boomerang ? index % 2 : 0));
+        return renderSequence(sources, sequence, duration, outputPath, { crossfade, transition, onProgress, signal });
+    }
+
+    return new Promise((resolve, reject) => {
+        watchAbort(trackProgress(ffmpeg(videoPath), onProgress, duration), signal)
+            .inputOptions(`-stream_loop ${count - 1}`)  // Loop the video (input option)
+            .outputOptions('-map', '0:v:0')
+            .outputOptions('-t', duration)  // Trim the looped video to match audio length (output option)
+            .save(outputPath)
+            .on('end', () => resolve(outputPath))
+            .on('error', (err) => {
+                debugLog(`Error looping video: ${err.message}`);
+                reject(toAbortError(err, signal));
+            });
+    });
+}
+
+/**
+ * Loop the video, taking the cheapest way that gives the requested result.
+ * Takes the same arguments as `loopVideo`.
+ * 
+ * @returns {Promise} - Resolves with `{ output, method }`, where `method` is `copy`,
+ *   `concat`, `reencode` or `null` when the video did not need looping.
+ */
+async function renderLoop(videoPath, videoDuration, targetDuration, outputPath, { crossfade = 0, boomerang = false, completeLoops = false, transition, onProgress, signal } = {}) {
+    debugLog(`Looping video: ${videoPath}`);
+    if (targetDuration <= videoDuration) {
+        debugLog(`No need to loop video, returning original: ${videoPath}`);
+        return { output: videoPath, method: null };  // No need to loop, return the original video
+    }
+
+    const { count, duration } = planLoops(videoDuration, targetDuration, { crossfade, completeLoops });
+    debugLog(`Looping video ${count} times to match audio length`);
+
+    if (crossfade === 0 && !boomerang) {
+        try {
+            const method = await copyLoop(videoPath, videoDuration, count, duration, outputPath, { onProgress, signal });
+            if (method) {
+                debugLog(`Looped video saved (${method}): ${outputPath}`);
+                return { output: outputPath, method };
+            }
+        } catch (err) {
+            if (err instanceof AbortError) throw err;
+            debugLog(`Looping without re-encoding failed, re-encoding instead: ${err.message}`);
+        }
+    }
+
+    await encodeLoop(videoPath, videoDuration, count, duration, outputPath, { crossfade, boomerang, transition, onProgress, signal });
+    debugLog(`Looped video saved: ${outputPath}`);
+    return { output: outputPath, method: 'reencode' };
+}
+
+/**
+ * Loop the video to match the length of the audio if the video is shorter.
+ * 
+ * The video is stream-copied where possible, see `copyLoop`. With `crossfade` or
+ * `boomerang` the iterations are joined by a filtergraph, which re-encodes the video.
+ * The looped video has no audio track.
+ * 
+ * @param {string} videoPath - Path to the video file.
+ * @param {number} videoDuration - Duration of the video in seconds.
+ * @param {number} audioDuration - Duration of the audio in seconds.
+ * @param {string} outputLoopedVideoPath - Path to save the looped video.
+ * @param {Object} [options] - Loop options.
+ * @param {number} [options.crossfade=0] - Seconds to crossfade between iterations.
+ * @param {string} [options.transition='fade'] - One of `TRANSITIONS`, how iterations are crossfaded.
+ * @param {boolean} [options.boomerang=false] - Play every other iteration in reverse.
+ * @param {boolean} [options.completeLoops=false] - End on a complete iteration, which can make the
+ *   video longer than the audio (see `planLoops`).
+ * @param {Function} [options.onProgress] - Called with the percentage of the looped video written so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves when the video is looped and saved.
+ */
+function loopVideo(videoPath, videoDuration, audioDuration, outputLoopedVideoPath, options = {}) {
+    return renderLoop(videoPath, videoDuration, audioDuration, outputLoopedVideoPath, options).then(({ output }) => output);
+}
+
+// `xfade` transitions offered between loop iterations and video clips
+const TRANSITIONS = ['fade', 'dissolve', 'fadeblack', 'fadewhite', 'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+    'slideleft', 'slideright', 'slideup', 'slidedown', 'circleopen', 'circleclose', 'radial', 'pixelize'];
+
+// `sequence` plays video clips in the given order every time, `shuffle` in a new random order per round
+const CLIP_ORDERS = ['sequence', 'shuffle'];
+
+/**
+ * Decide which video clips play in which order to cover a length. The clips are played
+ * round after round until the length is reached; with `shuffle` every round has its own
+ * order, never starting with the clip the previous round ended on.
+ * 
+ * @param {number[]} durations - Clip durations in seconds.
+ * @param {number} targetDuration - Length to cover in seconds.
+ * @param {Object} [options] - `crossfade` (seconds neighbouring clips overlap), `clipOrder` (one of
+ *   `CLIP_ORDERS`), `completeLoops` (end on a complete clip instead of cutting the last one) and
+ *   `random` (a `Math.random` replacement).
+ * @returns {Object} - `{ sequence, duration }`: clip indexes in play order and the length of the result.
+ */
+function planClipSequence(durations, targetDuration, { crossfade = 0, clipOrder = 'sequence', completeLoops = false, random = Math.random } = {}) {
+    if (!CLIP_ORDERS.includes(clipOrder)) {
+        throw new OptionError(`Unknown clip order "${clipOrder}", expected one of: ${CLIP_ORDERS.join(', ')}`);
+    }
+    // Every clip fades in and out, so it must outlast both crossfades
+    if (!(crossfade >= 0) || durations.some((duration) => !(duration > crossfade * 2))) {
+        throw new OptionError('`crossfade` must be at least 0 and shorter than half of every clip');
+    }
+
+    const sequence = [];
+    let end = 0;
+    while (end < targetDuration - 1e-9 || sequence.length === 0) {
+        const round = durations.map((duration, index) => index);
+        if (clipOrder === 'shuffle') {
+            for (let index = round.length - 1; index > 0; index--) {
+                const other = Math.floor(random() * (index + 1));
+                [round[index], round[other]] = [round[other], round[index]];
+            }
+            if (round.length > 1 && round[0] === sequence[sequence.length - 1]) {
+                [round[0], round[1]] = [round[1], round[0]];
+            }
+        }
+        for (const index of round) {
+            end += durations[index] - (sequence.length > 0 ? crossfade : 0);
+            sequence.push(index);
+            if (end >= targetDuration - 1e-9) break;
+        }
+    }
+    return { sequence, duration: completeLoops ? end : Math.min(targetDuration, end) };
+}
+
+/**
+ * Probe one of several video clips. A still picture has no length of its own to play in turn
+ * with the other clips, so it is rejected.
+ */
+async function probeVideoClip(clipPath, index, options) {
+    const info = await probeInput(clipPath, 'video', options, `video clip ${index + 1}`);
+    if (info.image) {
+        throw new MediaError(`The video clip ${index + 1} input "${clipPath}" is a still image, which has no length to play`, 'ERR_UNKNOWN_DURATION');
+    }
+    return info;
+}
+
+/**
+ * Play video clips one after another, scaled and padded to a common frame size and frame rate,
+ * and cycled until `targetDuration` is covered (see `planClipSequence`). Every clip is first
+ * converted once; without a crossfade the converted clips are then joined by the concat demuxer
+ * without encoding them again, otherwise by `xfade` transitions (see `renderSequence`, which
+ * encodes each pair of neighbouring clips once). The result has no audio track.
+ * 
+ * @param {string[]} clipPaths - Paths to the video clips.
+ * @param {number} targetDuration - Length of the result in seconds.
+ * @param {string} outputPath - Path to save the assembled video.
+ * @param {Object} [options] - Assembly options.
+ * @param {string} [options.resolution] - Frame size such as `1920x1080`, by default the first clip's.
+ * @param {number} [options.frameRate] - Frames per second, by default the first clip's.
+ * @param {string} [options.clipOrder='sequence'] - One of `CLIP_ORDERS`.
+ * @param {number} [options.crossfade=0] - Seconds of transition between neighbouring clips.
+ * @param {string} [options.transition='fade'] - One of `TRANSITIONS`.
+ * @param {boolean} [options.completeLoops=false] - End on a complete clip, which can make the result
+ *   longer than `targetDuration`.
+ * @param {Array} [options.sequence] - Clip indexes in play order, planned when missing.
+ * @param {Array} [options.clipInfo] - `probeMedia` results of the clips, probed when missing.
+ * @param {Function} [options.onProgress] - Called with the percentage done.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with `{ output, duration, method, clips }`: `method` is `concat` or
+ *   `reencode` and `clips` lists the `path`, `start` and `end` of every clip played.
+ */
+async function assembleClips(clipPaths, targetDuration, outputPath, options = {}) {
+    const { crossfade = 0, transition = 'fade', onProgress, signal } = options;
+    if (!TRANSITIONS.includes(transition)) {
+        throw new OptionError(`Unknown transition "${transition}", expected one of: ${TRANSITIONS.join(', ')}`);
+    }
+    let clipInfo = options.clipInfo;
+    if (!clipInfo) {
+        clipInfo = [];
+        for (const [index, clipPath] of clipPaths.entries()) {
+            clipInfo.push(await probeVideoClip(clipPath, index, { signal }));
+        }
+    }
+    const durations = clipInfo.map((info) => info.duration);
+    const planned = options.sequence
+        ? { sequence: options.sequence, duration: targetDuration }
+        : planClipSequence(durations, targetDuration, options);
+    const { sequence, duration } = planned;
+
+    // A clip shown on its side is scaled as it is displayed
+    const first = clipInfo[0].video;
+    const sideways = Math.abs(first.rotation || 0) % 180 === 90;
+    const [width, height] = stillImageSize(options.resolution, sideways ? { width: first.height, height: first.width } : first);
+    const frameRate = options.frameRate || first.fps || 25;
+    debugLog(`Assembling ${sequence.length} clips at ${width}x${height}, ${frameRate} fps into ${duration} seconds`);
+
+    const used = [...new Set(sequence)];
+    const convertedLength = used.reduce((sum, index) => sum + durations[index], 0);
+    const report = combineProgress(onProgress, { converting: convertedLength, joining: duration });
+    const workspace = createWorkspace();
+    try {
+        // Convert every clip once, so they all share size, frame rate, pixel format and codec
+        const converted = new Map();
+        let convertedSoFar = 0;
+        for (const index of used) {
+            const clipPath = path.join(workspace, `clip-${index + 1}.mp4`);
+            const share = durations[index] / convertedLength;
+            await saveCommand(trackProgress(ffmpeg(clipPaths[index]), (percent) => report('converting', convertedSoFar + percent * share), durations[index])
+                .outputOptions('-map', '0:v:0', '-an', '-c:v', 'libx264', '-pix_fmt', 'yuv420p')
+                .videoFilters(
+                    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+                    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+                    'setsar=1',
+                    `fps=${frameRate}`
+                ), clipPath, 'converting clip', signal);
+            converted.set(index, clipPath);
+            convertedSoFar += 100 * share;
+        }
+        report('converting', 100);
+
+        let method;
+        const onJoinProgress = (percent) => report('joining', percent);
+        if (crossfade > 0 && sequence.length > 1) {
+            const sources = durations.map((clipDuration, index) => ({ path: converted.get(index), duration: clipDuration }));
+            await renderSequence(sources, sequence, duration, outputPath, {
+                crossfade,
+                transition,
+                outputOptions: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p'],
+                onProgress: onJoinProgress,
+                signal
+            });
+            method = 'reencode';
+        } else {
+            const listPath = path.join(workspace, 'list.txt');
+            await fs.promises.writeFile(listPath, `${sequence.map((index) => concatListEntry(converted.get(index))).join('\n')}\n`);
+            await saveCommand(trackProgress(ffmpeg(listPath), onJoinProgress, duration)
+                .inputOptions('-f', 'concat', '-safe', '0')
+                .outputOptions('-c', 'copy', '-t', duration), outputPath, 'joining clips', signal);
+            method = 'concat';
+        }
+        report('joining', 100);
+        debugLog(`Assembled video saved: ${outputPath}`);
+
+        let start = 0;
+        const clips = [];
+        for (const index of sequence) {
+            if (start >= duration) break;
+            clips.push({ path: clipPaths[index], start, end: Math.min(start + durations[index], duration) });
+            start += durations[index] - crossfade;
+        }
+        return { output: outputPath, duration, method, clips };
+    } finally {
+        removeWorkspace(workspace);
+    }
+}
+
+// atempo only accepts tempos from 0.5 to 2.0 per filter instance
+const ATEMPO_MIN = 0.5;
+const ATEMPO_MAX = 2;
+
+/**
+ * Build an `atempo` filter chain for any tempo, splitting factors outside
+ * 0.5-2.0 over several filters.
+ */
+function atempoChain(tempo) {
+    const filters = [];
+    while (tempo > ATEMPO_MAX) {
+        filters.push(`atempo=${ATEMPO_MAX}`);
+        tempo /= ATEMPO_MAX;
+    }
+    while (tempo < ATEMPO_MIN) {
+        filters.push(`atempo=${ATEMPO_MIN}`);
+        tempo /= ATEMPO_MIN;
+    }
+    filters.push(`atempo=${tempo.toFixed(6)}`);
+    return filters.join(',');
+}
+
+/**
+ * Time-stretch the audio to the target length without changing its pitch.
+ * 
+ * @param {string} audioPath - Path to the audio file.
+ * @param {number} targetDuration - Length of the stretched audio in seconds.
+ * @param {string} outputAudioPath - Path to save the stretched audio.
+ * @param {Object} [options] - Stretch options.
+ * @param {number} [options.audioDuration] - Duration of the audio, probed when missing.
+ * @param {Function} [options.onProgress] - Called with the percentage of the stretched audio written so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with the path of the stretched audio.
+ */
+function stretchAudio(audioPath, targetDuration, outputAudioPath, { audioDuration, onProgress, signal } = {}) {
+    return Promise.resolve(audioDuration === undefined ? getDuration(audioPath) : audioDuration)
+        .then((duration) => new Promise((resolve, reject) => {
+            const tempo = duration / targetDuration;
+            debugLog(`Stretching ${duration} seconds of audio to ${targetDuration} seconds (tempo ${tempo})`);
+
+            // atempo can be a few samples off, so pad or trim to the exact length
+            watchAbort(trackProgress(ffmpeg(audioPath), onProgress, targetDuration), signal)
+                .audioFilters(`${atempoChain(tempo)},apad=whole_dur=${targetDuration},atrim=duration=${targetDuration}`)
+                .save(outputAudioPath)
+                .on('end', () => {
+                    debugLog(`Stretched audio saved: ${outputAudioPath}`);
+                    resolve(outputAudioPath);
+                })
+                .on('error', (err) => {
+                    debugLog(`Error stretching audio: ${err.message}`);
+                    reject(toAbortError(err, signal));
+                });
+        }));
+}
+
+/**
+ * Speed up or slow down the video to the target length. The output has no audio track.
+ * 
+ * @param {string} videoPath - Path to the video file.
+ * @param {number} targetDuration - Length of the retimed video in seconds.
+ * @param {string} outputVideoPath - Path to save the retimed video.
+ * @param {Object} [options] - Stretch options.
+ * @param {number} [options.videoDuration] - Duration of the video, probed when missing.
+ * @param {Function} [options.onProgress] - Called with the percentage of the retimed video written so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with the path of the retimed video.
+ */
+function stretchVideo(videoPath, targetDuration, outputVideoPath, { videoDuration, onProgress, signal } = {}) {
+    return Promise.resolve(videoDuration === undefined ? getDuration(videoPath) : videoDuration)
+        .then((duration) => new Promise((resolve, reject) => {
+            const factor = targetDuration / duration;
+            debugLog(`Retiming ${duration} seconds of video to ${targetDuration} seconds (factor ${factor})`);
+
+            watchAbort(trackProgress(ffmpeg(videoPath), onProgress, targetDuration), signal)
+                .videoFilters(`setpts=${factor.toFixed(6)}*PTS`)
+                .noAudio()  // The original audio would be out of sync
+                .outputOptions('-t', targetDuration)
+                .save(outputVideoPath)
+                .on('end', () => {
+                    debugLog(`Retimed video saved: ${outputVideoPath}`);
+                    resolve(outputVideoPath);
+                })
+                .on('error', (err) => {
+                    debugLog(`Error retiming video: ${err.message}`);
+                    reject(toAbortError(err, signal));
+                });
+        }));
+}
+
+/**
+ * Work out where each clip of a joined narration starts and ends.
+ * 
+ * @param {number[]} durations - Clip durations in seconds, in order.
+ * @param {Object} [options] - `gap` (seconds of silence between clips) or `crossfade`
+ *   (seconds the clips overlap), see `concatAudio`.
+ * @returns {Object} - `{ duration, clips }`, the joined length and a `{ start, end }` per clip.
+ */
+function planClipTimeline(durations, { gap = 0, crossfade = 0 } = {}) {
+    if (!(gap >= 0) || !(crossfade >= 0)) {
+        throw new OptionError('The gap and crossfade between audio clips must be at least 0 seconds');
+    }
+    if (gap > 0 && crossfade > 0) {
+        throw new OptionError('Audio clips are joined with a gap or a crossfade, not both');
+    }
+    durations.forEach((duration, index) => {
+        // Inner clips fade in and out, the outer ones only on one side
+        const overlap = crossfade * (index === 0 || index === durations.length - 1 ? 1 : 2);
+        if (durations.length > 1 && duration <= overlap) {
+            throw new OptionError(`Audio clip ${index + 1} (${duration} seconds) is too short for a ${crossfade} second crossfade`);
+        }
+    });
+
+    let cursor = 0;
+    const clips = durations.map((duration) => {
+        const clip = { start: cursor, end: cursor + duration };
+        cursor = clip.end + gap - crossfade;
+        return clip;
+    });
+    return { duration: clips.length > 0 ? clips[clips.length - 1].end : 0, clips };
+}
+
+/**
+ * Join audio clips into one track, in order, with silence or a crossfade between them.
+ * Every clip is converted to the highest sample rate among them, in stereo when any
+ * of them has more than one channel and in mono otherwise.
+ * 
+ * @param {string[]} clipPaths - Paths to the audio clips.
+ * @param {string} outputAudioPath - Path to save the joined audio.
+ * @param {Object} [options] - Join options.
+ * @param {number} [options.gap=0] - Seconds of silence between clips.
+ * @param {number} [options.crossfade=0] - Seconds each clip fades into the next. Cannot be combined with `gap`.
+ * @param {Array} [options.clipInfo] - `probeMedia` results of the clips, probed when missing.
+ * @param {Function} [options.onProgress] - Called with the percentage of the joined audio written so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with `{ output, duration, clips }`, where `clips` holds the `path`,
+ *   `start` and `end` (seconds) of every clip in the joined audio.
+ */
+async function concatAudio(clipPaths, outputAudioPath, options = {}) {
+    const { gap = 0, crossfade = 0, onProgress, signal } = options;
+    if (!Array.isArray(clipPaths) || clipPaths.length === 0) {
+        throw new TypeError('concatAudio needs at least one audio clip');
+    }
+    const clipInfo = options.clipInfo || await Promise.all(clipPaths.map((clipPath, index) =>
+        probeInput(clipPath, 'audio', { signal }, `audio clip ${index + 1}`)));
+    const timeline = planClipTimeline(clipInfo.map((info) => info.duration), { gap, crossfade });
+
+    const sampleRate = Math.max(...clipInfo.map((info) => info.audio.sampleRate || 0)) || 48000;
+    const channelLayout = clipInfo.some((info) => info.audio.channels > 1) ? 'stereo' : 'mono';
+    debugLog(`Joining ${clipPaths.length} audio clips (${sampleRate} Hz ${channelLayout}) into ${timeline.duration} seconds`);
+
+    const last = clipPaths.length - 1;
+    const graph = clipPaths.map((clipPath, index) => {
+        const pad = gap > 0 && index < last ? `,apad=pad_dur=${gap}` : '';
+        return `[${index}:a]aresample=${sampleRate},aformat=sample_fmts=fltp:channel_layouts=${channelLayout}${pad}[c${index}]`;
+    });
+    if (crossfade > 0 && clipPaths.length > 1) {
+        let previous = '[c0]';
+        for (let index = 1; index <= last; index++) {
+            const label = index === last ? '[joined]' : `[x${index}]`;
+            graph.push(`${previous}[c${index}]acrossfade=d=${crossfade}${label}`);
+            previous = label;
+        }
+    } else {
+        graph.push(`${clipPaths.map((clipPath, index) => `[c${index}]`).join('')}concat=n=${clipPaths.length}:v=0:a=1[joined]`);
+    }
+
+    await new Promise((resolve, reject) => {
+        const command = watchAbort(trackProgress(ffmpeg(), onProgress, timeline.duration), signal);
+        clipPaths.forEach((clipPath) => command.input(clipPath));
+        command
+            .outputOptions('-filter_complex', graph.join(';'), '-map', '[joined]')
+            .save(outputAudioPath)
+            .on('end', () => {
+                debugLog(`Joined audio saved: ${outputAudioPath}`);
+                resolve();
+            })
+            .on('error', (err) => {
+                debugLog(`Error joining audio clips: ${err.message}`);
+                reject(toAbortError(err, signal));
+            });
+    });
+
+    return {
+        output: outputAudioPath,
+        duration: timeline.duration,
+        clips: timeline.clips.map((clip, index) => ({ path: clipPaths[index], ...clip }))
+    };
+}
+
+// How a still image that does not match the output shape is framed: black bars, or
+// a blurred copy of the image filling the frame behind it
+const STILL_BACKGROUNDS = ['letterbox', 'blur'];
+
+// Longest edge of a rendered still image when no `resolution` is given
+const STILL_MAX_EDGE = 1920;
+
+// A still picture only needs a frame now and then; a Ken Burns move needs smooth motion
+const STILL_FRAME_RATE = 1;
+const KEN_BURNS_FRAME_RATE = 25;
+
+// How far a Ken Burns move zooms in over the whole video
+const KEN_BURNS_ZOOM = 0.15;
+
+/**
+ * Work out the frame size of a rendered still image: `resolution` rounded to even
+ * numbers (as 4:2:0 video needs), or the picture's own size scaled down to `STILL_MAX_EDGE`.
+ * 
+ * @param {string} [resolution] - Frame size such as `1920x1080`.
+ * @param {Object} [picture] - Probed size of the picture, `{ width, height }`.
+ * @returns {number[]} - Width and height.
+ */
+function stillImageSize(resolution, { width, height } = {}) {
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    if (resolution !== undefined) {
+        const match = /^(\d+)x(\d+)$/.exec(resolution);
+        if (!match) {
+            throw new OptionError(`resolution must look like 1920x1080, got ${resolution}`);
+        }
+        return [even(Number(match[1])), even(Number(match[2]))];
+    }
+    if (!(width > 0 && height > 0)) {
+        return [STILL_MAX_EDGE, STILL_MAX_EDGE];
+    }
+    const scale = Math.min(1, STILL_MAX_EDGE / Math.max(width, height));
+    return [even(width * scale), even(height * scale)];
+}
+
+/**
+ * Build the filtergraph framing a looped picture at `width`x`height`, optionally with
+ * a slow zoom and pan across it.
+ * 
+ * @param {number} width - Frame width.
+ * @param {number} height - Frame height.
+ * @param {Object} options - `background`, `kenBurns`, `frames` (length in frames) and `frameRate`.
+ * @returns {string} - Filtergraph reading `[0:v]` and writing `[v]`.
+ */
+function buildStillFilter(width, height, { background, kenBurns, frames, frameRate }) {
+    const size = `${width}:${height}`;
+    const graph = background === 'blur'
+        ? [
+            '[0:v]split=2[back][front]',
+            `[back]scale=${size}:force_original_aspect_ratio=increase,crop=${size},gblur=sigma=30[blurred]`,
+            `[front]scale=${size}:force_original_aspect_ratio=decrease[fitted]`,
+            '[blurred][fitted]overlay=(W-w)/2:(H-h)/2,setsar=1[framed]'
+        ]
+        : [`[0:v]scale=${size}:force_original_aspect_ratio=decrease,pad=${size}:(ow-iw)/2:(oh-ih)/2,setsar=1[framed]`];
+
+    const finish = [];
+    if (kenBurns) {
+        // zoompan moves in whole pixels; working at twice the size halves the visible jitter
+        finish.push(
+            `scale=${width * 2}:${height * 2}`,
+            `zoompan=z='1+${KEN_BURNS_ZOOM}*on/${frames}':x='(iw-iw/zoom)*on/${frames}':y='(ih-ih/zoom)/2':d=1:s=${width}x${height}:fps=${frameRate}`
+        );
+    }
+    finish.push('format=yuv420p');
+    graph.push(`[framed]${finish.join(',')}[v]`);
+    return graph.join(';');
+}
+
+/**
+ * Render a still picture (PNG, JPEG...) as a video of the given length, looping it
+ * at a low frame rate with x264 tuned for still images.
+ * 
+ * @param {string} imagePath - Path to the picture.
+ * @param {number} duration - Length of the video in seconds.
+ * @param {string} outputVideoPath - Path to save the video.
+ * @param {Object} [options] - Rendering options.
+ * @param {string} [options.resolution] - Frame size such as `1920x1080`; by default the picture's
+ *   size, scaled down to at most 1920 pixels on its longest edge.
+ * @param {string} [options.background='letterbox'] - One of `STILL_BACKGROUNDS`, how a picture of
+ *   another shape is framed: `letterbox` (black bars) or `blur` (blurred copy behind it).
+ * @param {boolean} [options.kenBurns=false] - Zoom in slowly while panning across the picture.
+ * @param {Function} [options.onProgress] - Called with the percentage of the video written so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with the path of the video.
+ */
+async function renderStillImage(imagePath, duration, outputVideoPath, options = {}) {
+    const { background = 'letterbox', kenBurns = false, onProgress, signal } = options;
+    if (!STILL_BACKGROUNDS.includes(background)) {
+        throw new OptionError(`Unknown background "${background}", expected one of: ${STILL_BACKGROUNDS.join(', ')}`);
+    }
+    const picture = options.resolution === undefined ? describeStream(await getVideoStream(imagePath) || {}) : {};
+    const [width, height] = stillImageSize(options.resolution, picture);
+    const frameRate = kenBurns ? KEN_BURNS_FRAME_RATE : STILL_FRAME_RATE;
+    const frames = Math.max(Math.ceil(duration * frameRate), 1);
+
+    debugLog(`Rendering ${imagePath} as ${duration} seconds of ${width}x${height} video`);
+    return new Promise((resolve, reject) => {
+        const command = watchAbort(trackProgress(ffmpeg(imagePath), onProgress, duration), signal)
+            .inputOptions('-loop', '1', '-framerate', frameRate)
+            .outputOptions('-filter_complex', buildStillFilter(width, height, { background, kenBurns, frames, frameRate }))
+            .outputOptions('-map', '[v]', '-c:v', 'libx264', '-r', frameRate, '-t', duration);
+        if (!kenBurns) {
+            command.outputOptions('-tune', 'stillimage');  // Tuned for a picture that does not move
+        }
+
+        command
+            .save(outputVideoPath)
+            .on('end', () => {
+                debugLog(`Still image video saved: ${outputVideoPath}`);
+                resolve(outputVideoPath);
+            })
+            .on('error', (err) => {
+                debugLog(`Error rendering still image: ${err.message}`);
+                reject(toAbortError(err, signal));
+            });
+    });
+}
+
+// Caption file formats by extension
+const SUBTITLE_FORMATS = { '.srt': 'srt', '.vtt': 'vtt', '.ass': 'ass', '.ssa': 'ass' };
+
+// `soft` adds captions as a track players can switch on, `burn` draws them into the picture
+const SUBTITLE_MODES = ['soft', 'burn'];
+
+// Where burned-in captions go, as ASS alignments (numpad positions, centred)
+const SUBTITLE_POSITIONS = { bottom: 2, middle: 5, top: 8 };
+
+/**
+ * Look up the format of a caption file from its extension.
+ * 
+ * @param {string} subtitlesPath - Path to the caption file.
+ * @returns {string} - `srt`, `vtt` or `ass`.
+ */
+function subtitleFormat(subtitlesPath) {
+    const format = SUBTITLE_FORMATS[path.extname(subtitlesPath).toLowerCase()];
+    if (!format) {
+        throw new OptionError(`subtitles must be an SRT, WebVTT or ASS file, got ${subtitlesPath}`);
+    }
+    return format;
+}
+
+/**
+ * Read a caption timestamp (`01:02:03,456`, `02:03.456` or `1:02:03.45`) as seconds.
+ */
+function parseSubtitleTime(timestamp) {
+    const [clock, fraction] = timestamp.split(/[,.]/);
+    const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    return seconds + Number(`0.${fraction}`);
+}
+
+/**
+ * Write seconds as a caption timestamp of the given format.
+ */
+function formatSubtitleTime(seconds, format) {
+    // ASS counts centiseconds, SRT and WebVTT milliseconds
+    const unit = format === 'ass' ? 100 : 1000;
+    const ticks = Math.round(Math.max(seconds, 0) * unit);
+    const fraction = String(ticks % unit).padStart(format === 'ass' ? 2 : 3, '0');
+    const whole = Math.floor(ticks / unit);
+    const clock = [Math.floor(whole / 3600), Math.floor(whole / 60) % 60, whole % 60]
+        .map((part, index) => String(part).padStart(index === 0 && format === 'ass' ? 1 : 2, '0'))
+        .join(':');
+    return `${clock}${format === 'srt' ? ',' : '.'}${fraction}`;
+}
+
+/**
+ * Copy a caption file, moving every cue with `shiftTime`. Cue start and end are moved
+ * separately, so a cue spanning an inserted pause grows with it.
+ * 
+ * @param {string} subtitlesPath - SRT, WebVTT or ASS file.
+ * @param {string} outputPath - Path to save the retimed file, with the same extension.
+ * @param {Function} shiftTime - Takes a time in seconds and returns the new time.
+ * @returns {Promise} - Resolves with `outputPath`.
+ */
+async function retimeSubtitles(subtitlesPath, outputPath, shiftTime) {
+    const format = subtitleFormat(subtitlesPath);
+    const text = await fs.promises.readFile(subtitlesPath, 'utf8');
+    const retime = (timestamp) => formatSubtitleTime(shiftTime(parseSubtitleTime(timestamp)), format);
+
+    let retimed;
+    if (format === 'ass') {
+        // Dialogue: Layer,Start,End,...
+        retimed = text.replace(/^(Dialogue:\s*[^,]*,)([^,]+),([^,]+),/gm,
+            (line, prefix, start, end) => `${prefix}${retime(start.trim())},${retime(end.trim())},`);
+    } else {
+        retimed = text.replace(/((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})(\s*-->\s*)((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/g,
+            (line, start, arrow, end) => `${retime(start)}${arrow}${retime(end)}`);
+    }
+
+    await fs.promises.writeFile(outputPath, retimed);
+    debugLog(`Retimed captions saved: ${outputPath}`);
+    return outputPath;
+}
+
+/**
+ * Escape a value for a filter option inside a filtergraph: once for the option
+ * parser and once for the graph parser.
+ */
+function escapeFilterValue(value) {
+    return String(value).replace(/[\\':]/g, '\\$&').replace(/[\\'[\],;]/g, '\\$&');
+}
+
+/**
+ * Build the `subtitles` filter drawing captions into the video.
+ * 
+ * @param {string} subtitlesPath - Caption file.
+ * @param {Object} [style] - `subtitleFont`, `subtitleSize`, `subtitlePosition` and `subtitleOutline`,
+ *   see `mergeAudioVideo`.
+ * @returns {string} - The filter.
+ */
+function buildSubtitleFilter(subtitlesPath, { subtitleFont, subtitleSize, subtitlePosition, subtitleOutline } = {}) {
+    if (subtitlePosition !== undefined && !(subtitlePosition in SUBTITLE_POSITIONS)) {
+        throw new OptionError(`Unknown subtitle position "${subtitlePosition}", expected one of: ${Object.keys(SUBTITLE_POSITIONS).join(', ')}`);
+    }
+    // Only what was asked for is overridden, ASS files keep the rest of their own styles
+    const style = [];
+    if (subtitlePosition) style.push(`Alignment=${SUBTITLE_POSITIONS[subtitlePosition]}`);
+    if (subtitleFont) style.push(`FontName=${subtitleFont}`);
+    if (subtitleSize) style.push(`FontSize=${subtitleSize}`);
+    if (subtitleOutline !== undefined) style.push(`Outline=${subtitleOutline}`);
+
+    const filter = `subtitles=filename=${escapeFilterValue(subtitlesPath)}`;
+    return style.length > 0 ? `${filter}:force_style=${escapeFilterValue(style.join(','))}` : filter;
+}
+
+// What happens to an audio track the video already has: `replace` drops it, `mix` blends
+// the new audio over it, `duck` also lowers it while the new audio plays and `multi-track`
+// keeps it as a second audio stream
+const AUDIO_MODES = ['replace', 'mix', 'duck', 'multi-track'];
+
+// sidechaincompress settings for `duck`: how far and how fast the original audio is lowered
+const DUCKING = 'threshold=0.03:ratio=10:attack=20:release=500';
+
+// sidechaincompress settings for the music bed, lowered gently under speech
+const MUSIC_DUCKING = 'threshold=0.02:ratio=8:attack=50:release=800';
+
+/**
+ * Build the filtergraph that lays a music bed under the voice. The music is cut to
+ * `duration`, faded and, unless `duckMusic` is off, compressed by the voice. The
+ * compressor is keyed by the voice with its pauses muted, so breaths and room noise
+ * in a pause do not lower the music.
+ * 
+ * @param {string} voice - Label of the voice stream.
+ * @param {string} music - Label of the (endlessly looped) music stream.
+ * @param {Object} options - Music options, see `mergeAudioVideo`.
+ * @returns {string} - Filtergraph writing `[voiced]`.
+ */
+function buildMusicFilter(voice, music, { duration, musicGain = -15, musicFadeIn = 1, musicFadeOut = 2, duckMusic = true, voiceSilences = [] }) {
+    const bed = [`atrim=duration=${duration}`, 'asetpts=PTS-STARTPTS', `volume=${musicGain}dB`];
+    if (musicFadeIn > 0) {
+        bed.push(`afade=t=in:d=${musicFadeIn}`);
+    }
+    if (musicFadeOut > 0) {
+        bed.push(`afade=t=out:st=${Math.max(duration - musicFadeOut, 0)}:d=${musicFadeOut}`);
+    }
+
+    if (!duckMusic) {
+        return `${music}${bed.join(',')}[bed];${voice}[bed]amix=inputs=2:duration=longest:normalize=0[voiced]`;
+    }
+
+    // apad keeps the key running when the voice ends before the music
+    const key = ['apad'];
+    if (voiceSilences.length > 0) {
+        const pauses = voiceSilences.map(({ start, end }) => `between(t,${start},${end})`).join('+');
+        key.unshift(`volume=enable='${pauses}':volume=0`);
+    }
+    // None of these labels is used by `buildAudioMixFilter`, which reads `[voiced]` as its new audio
+    return [
+        `${voice}asplit=2[voice][voicekey]`,
+        `[voicekey]${key.join(',')}[speech]`,
+        `${music}${bed.join(',')}[bed]`,
+        `[bed][speech]sidechaincompress=${MUSIC_DUCKING}[duckedbed]`,
+        `[voice][duckedbed]amix=inputs=2:duration=longest:normalize=0[voiced]`
+    ].join(';');
+}
+
+/**
+ * Build the filtergraph combining the new audio with the original audio of the
+ * video. `finish` is a filter chain applied to every output track.
+ * 
+ * @param {string} audioMode - One of `AUDIO_MODES`.
+ * @param {Object} [options] - Mix options, see `mergeAudioVideo`.
+ * @param {string} [options.newAudio='[1:a]'] - Label of the new audio.
+ * @param {string} [options.originalAudio='[2:a]'] - Label of the original audio.
+ * @returns {string[]} - The filtergraph and the labels of the output tracks, new audio first.
+ */
+function buildAudioMixFilter(audioMode, { newAudio = '[1:a]', originalAudio = '[2:a]', audioGain = 0, originalGain = 0, originalTempo = 1, finish = '' } = {}) {
+    const tempo = originalTempo !== 1 ? `${atempoChain(originalTempo)},` : '';
+    const original = `${originalAudio}${tempo}volume=${originalGain}dB`;
+    const tail = finish ? `,${finish}` : '';
+
+    if (audioMode === 'replace') {
+        return [`${newAudio}${finish || 'anull'}[aout]`, ['[aout]']];
+    }
+    if (audioMode === 'multi-track') {
+        return [`${newAudio}volume=${audioGain}dB${tail}[aout0];${original}${tail}[aout1]`, ['[aout0]', '[aout1]']];
+    }
+    if (audioMode === 'duck') {
+        // The new audio drives the compressor that lowers the original
+        return [[
+            `${newAudio}volume=${audioGain}dB,asplit=2[new][key]`,
+            `${original}[orig]`,
+            `[orig][key]sidechaincompress=${DUCKING}[ducked]`,
+            `[new][ducked]amix=inputs=2:duration=longest:normalize=0${tail}[aout]`
+        ].join(';'), ['[aout]']];
+    }
+    return [[
+        `${newAudio}volume=${audioGain}dB[new]`,
+        `${original}[orig]`,
+        `[new][orig]amix=inputs=2:duration=longest:normalize=0${tail}[aout]`
+    ].join(';'), ['[aout]']];
+}
+
+// Output containers: the file extensions they are picked by, the video codecs (as ffprobe
+// names them) that can be stream copied into them and the encoders used otherwise.
+// `videoCodecs: null` accepts any video; `audioOnly` containers get no video at all.
+// `subtitleEncoder` is the text format soft subtitles are stored in.
+const CONTAINERS = {
+    mp4: { format: 'mp4', extensions: ['.mp4', '.m4v'], videoCodecs: ['h264', 'hevc', 'av1', 'mpeg4'], videoEncoder: 'libx264', audioEncoder: 'aac', subtitleEncoder: 'mov_text' },
+    mov: { format: 'mov', extensions: ['.mov'], videoCodecs: ['h264', 'hevc', 'prores', 'mpeg4', 'mjpeg'], videoEncoder: 'libx264', audioEncoder: 'aac', subtitleEncoder: 'mov_text' },
+    webm: { format: 'webm', extensions: ['.webm'], videoCodecs: ['vp8', 'vp9', 'av1'], videoEncoder: 'libvpx-vp9', crf: 32, audioEncoder: 'libopus', subtitleEncoder: 'webvtt' },
+    matroska: { format: 'matroska', extensions: ['.mkv'], videoCodecs: null, videoEncoder: 'libx264', audioEncoder: 'aac', subtitleEncoder: 'copy' },  // Holds SRT, WebVTT and ASS as they are
+    m4a: { format: 'ipod', extensions: ['.m4a'], audioOnly: true, audioEncoder: 'aac' },
+    mp3: { format: 'mp3', extensions: ['.mp3'], audioOnly: true, audioEncoder: 'libmp3lame' },
+    wav: { format: 'wav', extensions: ['.wav'], audioOnly: true, audioEncoder: 'pcm_s16le' }
+};
+
+// Named targets: a container narrowed to what the target plays, with its encoder settings.
+// `crf` and `audioBitrate` are defaults the `crf` and `audioBitrate` options override;
+// `extension` and `mimeType` describe the file for callers naming or serving it.
+const OUTPUT_PRESETS = {
+    'web-mp4': {
+        container: 'mp4',
+        extension: '.mp4',
+        mimeType: 'video/mp4',
+        videoCodecs: ['h264'],
+        pixelFormats: ['yuv420p'],  // Browsers do not play 10-bit or 4:4:4 H.264
+        videoEncoder: 'libx264',
+        videoOptions: ['-pix_fmt', 'yuv420p'],
+        crf: 23,
+        audioEncoder: 'aac',
+        audioBitrate: '192k',
+        muxerOptions: ['-movflags', '+faststart']  // Playback starts before the download ends
+    },
+    webm: { container: 'webm', extension: '.webm', mimeType: 'video/webm', videoCodecs: ['vp8', 'vp9'], audioBitrate: '128k' },
+    mov: {
+        container: 'mov',
+        extension: '.mov',
+        mimeType: 'video/quicktime',
+        videoCodecs: ['prores'],
+        videoEncoder: 'prores_ks',
+        videoOptions: ['-profile:v', '3', '-pix_fmt', 'yuv422p10le'],  // ProRes 422 HQ
+        audioEncoder: 'pcm_s16le'
+    },
+    m4a: { container: 'm4a', extension: '.m4a', mimeType: 'audio/mp4', audioBitrate: '192k', muxerOptions: ['-movflags', '+faststart'] },
+    mp3: { container: 'mp3', extension: '.mp3', mimeType: 'audio/mpeg', audioBitrate: '192k' },
+    wav: { container: 'wav', extension: '.wav', mimeType: 'audio/wav' }
+};
+
+// Encoders with a constant quality mode driven by `-crf`
+const CRF_ENCODERS = ['libx264', 'libx265', 'libvpx', 'libvpx-vp9', 'libaom-av1', 'libsvtav1'];
+
+/**
+ * Look up what an output file may hold: the `preset` when one is given, otherwise
+ * the container matching the file extension.
+ * 
+ * @param {string} outputPath - Path of the output file.
+ * @param {string} [preset] - One of `OUTPUT_PRESETS`.
+ * @returns {Object} - The container settings merged with the preset. Unknown extensions get
+ *   no restrictions and the defaults ffmpeg picks for them, with AAC audio.
+ */
+function outputSettings(outputPath, preset) {
+    if (preset !== undefined) {
+        if (!OUTPUT_PRESETS[preset]) {
+            throw new OptionError(`Unknown output preset "${preset}", expected one of: ${Object.keys(OUTPUT_PRESETS).join(', ')}`);
+        }
+        return { ...CONTAINERS[OUTPUT_PRESETS[preset].container], ...OUTPUT_PRESETS[preset] };
+    }
+    const extension = path.extname(outputPath).toLowerCase();
+    const container = Object.values(CONTAINERS).find(({ extensions }) => extensions.includes(extension));
+    return container || { format: null, videoCodecs: null, audioEncoder: 'aac' };
+}
+
+/**
+ * Decide how the streams of an output file are encoded. The video is stream copied
+ * when `videoCodec` is `copy` (the default) and the output can hold it; otherwise,
+ * or when `crf` or `videoBitrate` ask for a different quality, it is encoded with the
+ * encoder of the preset or container.
+ * 
+ * @param {string} outputPath - Path of the output file.
+ * @param {string} videoPath - File the video is copied from, probed when its codec matters.
+ * @param {Object} [options] - `preset`, `videoCodec`, `audioCodec`, `crf`, `videoBitrate` and
+ *   `audioBitrate`, see `mergeAudioVideo`.
+ * @param {boolean} [options.reencode=false] - The video is filtered, so it cannot be copied.
+ * @returns {Promise} - Resolves with `{ audioOnly, videoArgs, audioArgs, subtitleArgs, muxerArgs }`,
+ *   the ffmpeg output options for each part. `subtitleArgs` is `null` when the output cannot hold subtitles.
+ */
+async function planOutput(outputPath, videoPath, options = {}) {
+    const { preset, crf, videoBitrate, reencode = false } = options;
+    const settings = outputSettings(outputPath, preset);
+
+    const audioCodec = options.audioCodec || settings.audioEncoder;
+    // A preset's bitrate is meant for its own encoder
+    const audioBitrate = options.audioBitrate || (audioCodec === settings.audioEncoder ? settings.audioBitrate : undefined);
+    const audioArgs = ['-c:a', audioCodec];
+    if (audioBitrate) {
+        audioArgs.push('-b:a', audioBitrate);
+    }
+    // Presets name their container; otherwise ffmpeg goes by the extension
+    const muxerArgs = preset ? ['-f', settings.format, ...(settings.muxerOptions || [])] : [];
+
+    if (settings.audioOnly) {
+        return { audioOnly: true, videoArgs: [], audioArgs, subtitleArgs: null, muxerArgs };
+    }
+    const subtitleArgs = settings.subtitleEncoder ? ['-c:s', settings.subtitleEncoder] : [];
+
+    let { videoCodec = 'copy' } = options;
+    if (videoCodec === 'copy') {
+        let reason = null;
+        if (reencode) {
+            reason = 'it is filtered';
+        } else if (crf !== undefined || videoBitrate !== undefined) {
+            reason = 'a quality was set';
+        } else if (settings.videoCodecs || settings.pixelFormats) {
+            const stream = describeStream(await getVideoStream(videoPath) || {});
+            if (settings.videoCodecs && !settings.videoCodecs.includes(stream.codec)) {
+                reason = `${stream.codec} does not fit ${preset || settings.format}`;
+            } else if (settings.pixelFormats && !settings.pixelFormats.includes(stream.pixelFormat)) {
+                reason = `${stream.pixelFormat} does not fit ${preset}`;
+            }
+        }
+        if (reason) {
+            debugLog(`Encoding the video instead of copying it: ${reason}`);
+            videoCodec = settings.videoEncoder;  // Unknown containers leave it to ffmpeg
+        }
+    }
+
+    if (videoCodec === 'copy') {
+        return { audioOnly: false, videoArgs: ['-c:v', 'copy'], audioArgs, subtitleArgs, muxerArgs };
+    }
+
+    const videoArgs = videoCodec ? ['-c:v', videoCodec] : [];
+    const ownEncoder = videoCodec === settings.videoEncoder;
+    if (ownEncoder && settings.videoOptions) {
+        videoArgs.push(...settings.videoOptions);
+    }
+    const quality = crf !== undefined ? crf : (ownEncoder ? settings.crf : undefined);
+    if (quality !== undefined && CRF_ENCODERS.includes(videoCodec)) {
+        videoArgs.push('-crf', quality);
+    }
+    if (videoBitrate !== undefined) {
+        videoArgs.push('-b:v', videoBitrate);
+    } else if (quality !== undefined && videoCodec === 'libvpx-vp9') {
+        videoArgs.push('-b:v', 0);  // VP9 only uses the CRF alone with a zero bitrate
+    }
+    return { audioOnly: false, videoArgs, audioArgs, subtitleArgs, muxerArgs };
+}
+
+/**
+ * Merges the extended audio with the video.
+ * 
+ * @param {string} videoPath - Path to the video file.
+ * @param {string} extendedAudioPath - Path to the extended audio file.
+ * @param {string} outputVideoPath - Path to save the merged output video.
+ * @param {Object} [options] - Output options.
+ * @param {string} [options.preset] - One of `OUTPUT_PRESETS`: `web-mp4`, `webm`, `mov`, `m4a`, `mp3` or
+ *   `wav`. Without one the container follows the file extension.
+ * @param {string} [options.videoCodec='copy'] - Video encoder. `copy` keeps the original stream when
+ *   the output can hold it and encodes it with the preset's or container's encoder otherwise.
+ * @param {string} [options.audioCodec] - Audio encoder, by default the preset's or container's
+ *   (`aac` for MP4).
+ * @param {number} [options.crf] - Constant quality for the video encoder; makes `copy` encode.
+ * @param {string|number} [options.videoBitrate] - Video bitrate, such as `4M`; makes `copy` encode.
+ * @param {string|number} [options.audioBitrate] - Audio bitrate, such as `192k`.
+ * @param {Object} [options.outputPlan] - Encoding already planned for this output, replacing the
+ *   options above.
+ * @param {number} [options.duration] - Output duration in seconds, longer inputs are cut to it.
+ * @param {number} [options.fadeOut=0] - Seconds to fade the audio to silence and the video to
+ *   black at the end. Needs `duration`; the video is encoded when it is faded.
+ * @param {boolean} [options.padAudio=false] - Pad the audio with silence up to `duration`.
+ * @param {string} [options.audioMode='replace'] - One of `AUDIO_MODES`, what to do with the
+ *   original audio. Every mode but `replace` needs it to exist.
+ * @param {number} [options.audioGain=0] - Gain in dB for the new audio, when it is mixed or kept separately.
+ * @param {number} [options.originalGain=0] - Gain in dB for the original audio.
+ * @param {string} [options.originalAudio] - File to take the original audio from, `videoPath` by default.
+ * @param {boolean} [options.loopOriginal=false] - Repeat the original audio until `duration`.
+ * @param {number} [options.originalTempo=1] - Tempo change for the original audio, to follow a retimed video.
+ * @param {string} [options.audioLanguage] - Language code for the new audio track, for `multi-track`.
+ * @param {string} [options.originalLanguage] - Language code for the original audio track.
+ * @param {string} [options.audioTitle] - Title of the new audio track, for `multi-track`.
+ * @param {string} [options.originalTitle='Original audio'] - Title of the original audio track.
+ * @param {string} [options.music] - Music file laid under the new audio, looped or cut to `duration`.
+ * @param {number} [options.musicGain=-15] - Gain in dB for the music.
+ * @param {number} [options.musicFadeIn=1] - Seconds to fade the music in.
+ * @param {number} [options.musicFadeOut=2] - Seconds to fade the music out at the end.
+ * @param {boolean} [options.duckMusic=true] - Lower the music while the voice (the new audio) speaks.
+ * @param {Array} [options.voiceSilences] - Pauses in the new audio, as returned by `detectSilences`.
+ *   The music is not lowered during them.
+ * @param {string} [options.subtitles] - SRT, WebVTT or ASS file with captions for the output.
+ * @param {string} [options.subtitleMode='soft'] - One of `SUBTITLE_MODES`: `soft` adds a subtitle track
+ *   (`mov_text` in MP4 and MOV, WebVTT in WebM), `burn` draws the captions into the video, which is then encoded.
+ *   Audio-only outputs get no subtitles.
+ * @param {string} [options.subtitleLanguage] - Language code for the subtitle track, for `soft`.
+ * @param {string} [options.subtitleFont] - Font name for burned-in captions.
+ * @param {number} [options.subtitleSize] - Font size for burned-in captions.
+ * @param {string} [options.subtitlePosition] - `bottom`, `middle` or `top`, for burned-in captions.
+ *   SRT and WebVTT captions go at the bottom by default, ASS captions where their styles put them.
+ * @param {number} [options.subtitleOutline] - Outline width for burned-in captions.
+ * @param {Function} [options.onProgress] - Called with the percentage of the output written so far.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves when the merge is complete.
+ */
+function mergeAudioVideo(videoPath, extendedAudioPath, outputVideoPath, options = {}) {
+    const { duration, padAudio = false, audioMode = 'replace', onProgress, signal } = options;
+    const fadeOut = duration !== undefined ? options.fadeOut || 0 : 0;
+    if (!AUDIO_MODES.includes(audioMode)) {
+        return Promise.reject(new OptionError(`Unknown audio mode "${audioMode}", expected one of: ${AUDIO_MODES.join(', ')}`));
+    }
+    if (options.music && duration === undefined) {
+        return Promise.reject(new OptionError('A music bed needs the output `duration`'));
+    }
+    const { subtitles, subtitleMode = 'soft' } = options;
+    if (!SUBTITLE_MODES.includes(subtitleMode)) {
+        return Promise.reject(new OptionError(`Unknown subtitle mode "${subtitleMode}", expected one of: ${SUBTITLE_MODES.join(', ')}`));
+    }
+    const burn = Boolean(subtitles) && subtitleMode === 'burn';
+
+    debugLog(`Merging video: ${videoPath} with audio: ${extendedAudioPath} (${audioMode})`);
+    return Promise.resolve(options.outputPlan || planOutput(outputVideoPath, videoPath, { ...options, reencode: fadeOut > 0 || burn }))
+        .then((plan) => new Promise((resolve, reject) => {
+            const command = watchAbort(trackProgress(ffmpeg(), onProgress, duration), signal)
+                .input(videoPath)
+                .input(extendedAudioPath);
+            // Further inputs are numbered in the order they are added
+            let nextInput = 2;
+
+            // Filters applied to every output audio track, and to the video
+            const finish = [];
+            const videoFilters = [];
+            if (burn && !plan.audioOnly) {
+                videoFilters.push(buildSubtitleFilter(subtitles, options));
+            }
+            if (duration !== undefined) {
+                command.outputOptions('-t', duration);
+                if (padAudio) {
+                    finish.push('apad');  // Endless silence, cut by `-t`
+                }
+            }
+            if (fadeOut > 0) {
+                const fadeStart = Math.max(duration - fadeOut, 0);
+                finish.push(`afade=t=out:st=${fadeStart}:d=${fadeOut}`);
+                if (!plan.audioOnly) {
+                    videoFilters.push(`fade=t=out:st=${fadeStart}:d=${fadeOut}`);
+                }
+            }
+            if (videoFilters.length > 0) {
+                command.videoFilters(videoFilters);
+            }
+
+            // Map the streams explicitly, ffmpeg's default picks would include any audio the video has
+            if (!plan.audioOnly) {
+                command.outputOptions('-map', '0:v:0', ...plan.videoArgs);
+            }
+            if (audioMode === 'replace' && !options.music) {
+                command.outputOptions('-map', '1:a:0');
+                if (finish.length > 0) {
+                    command.audioFilters(finish);
+                }
+            } else {
+                const graph = [];
+                let newAudio = '[1:a]';
+                if (options.music) {
+                    command.input(options.music).inputOptions('-stream_loop', '-1');  // Cut to `duration`
+                    graph.push(buildMusicFilter(newAudio, `[${nextInput++}:a]`, options));
+                    newAudio = '[voiced]';
+                }
+
+                let originalAudio;
+                if (audioMode !== 'replace') {
+                    command.input(options.originalAudio || videoPath);
+                    if (options.loopOriginal) {
+                        command.inputOptions('-stream_loop', '-1');  // Cut by `-t`
+                    }
+                    originalAudio = `[${nextInput++}:a]`;
+                }
+
+                const [filter, tracks] = buildAudioMixFilter(audioMode, { ...options, newAudio, originalAudio, finish: finish.join(',') });
+                graph.push(filter);
+                command.outputOptions('-filter_complex', graph.join(';'));
+                tracks.forEach((track) => command.outputOptions('-map', track));
+
+                if (audioMode === 'multi-track') {
+                    const { audioLanguage, originalLanguage, audioTitle, originalTitle = 'Original audio' } = options;
+                    [[audioLanguage, audioTitle], [originalLanguage, originalTitle]].forEach(([language, title], index) => {
+                        if (language) command.outputOptions(`-metadata:s:a:${index}`, `language=${language}`);
+                        if (title) command.outputOptions(`-metadata:s:a:${index}`, `title=${title}`);
+                    });
+                    // Players pick the new audio unless the viewer switches tracks
+                    command.outputOptions('-disposition:a:0', 'default', '-disposition:a:1', '0');
+                }
+            }
+
+            if (subtitles && !burn && plan.subtitleArgs) {
+                command.input(subtitles);
+                command.outputOptions('-map', `${nextInput++}:s:0`, ...plan.subtitleArgs);
+                if (options.subtitleLanguage) {
+                    command.outputOptions('-metadata:s:s:0', `language=${options.subtitleLanguage}`);
+                }
+            }
+
+            command
+                .outputOptions(...plan.audioArgs, ...plan.muxerArgs)
+                .save(outputVideoPath)
+                .on('end', () => {
+                    debugLog(`Merged video saved: ${outputVideoPath}`);
+                    resolve(outputVideoPath);
+                })
+                .on('error', (err) => {
+                    debugLog(`Error merging audio and video: ${err.message}`);
+                    reject(toAbortError(err, signal));
+                });
+        }));
+}
+
+// Integrated loudness targets in LUFS: streaming services (YouTube, Spotify), podcasts and EBU R128 broadcast
+const LOUDNESS_PRESETS = { streaming: -14, podcast: -16, broadcast: -23 };
+
+// Loudness range in LU allowed by the second pass; material with a wider range keeps its own
+const LOUDNESS_RANGE = 11;
+
+/**
+ * Check the loudness options and turn a preset into a target in LUFS.
+ * 
+ * @param {Object} options - `loudness` (one of `LOUDNESS_PRESETS` or a number of LUFS) and `truePeak` in dBTP.
+ * @returns {Object} - `{ target, truePeak }`.
+ */
+function resolveLoudnessTarget({ loudness = 'streaming', truePeak = -1 }) {
+    const target = typeof loudness === 'number' ? loudness : LOUDNESS_PRESETS[loudness];
+    // The ranges loudnorm accepts
+    if (!(target >= -70 && target <= -5)) {
+        throw new OptionError(`loudness must be -70 to -5 LUFS or one of: ${Object.keys(LOUDNESS_PRESETS).join(', ')}, got ${loudness}`);
+    }
+    if (!(truePeak >= -9 && truePeak <= 0)) {
+        throw new OptionError(`truePeak must be -9 to 0 dBTP, got ${truePeak}`);
+    }
+    return { target, truePeak };
+}
+
+/**
+ * Collect the JSON reports `loudnorm` prints to stderr with `print_format=json`,
+ * one per filtered stream in stream order.
+ */
+function collectLoudnormReports(command) {
+    const reports = [];
+    let current = null;
+    command.on('stderr', (line) => {
+        const text = line.trim();
+        if (text === '{') {
+            current = {};
+        } else if (text.startsWith('}') && current) {
+            reports.push(current);
+            current = null;
+        } else if (current) {
+            const match = text.match(/^"(\w+)"\s*:\s*"([^"]*)"/);
+            if (match) current[match[1]] = match[2];
+        }
+    });
+    return reports;
+}
+
+/**
+ * Pick the input or output figures out of a `loudnorm` report.
+ */
+function describeLoudnorm(report, side) {
+    return {
+        integrated: parseDecibels(report[`${side}_i`]),
+        truePeak: parseDecibels(report[`${side}_tp`]),
+        range: parseFloat(report[`${side}_lra`]),
+        threshold: parseDecibels(report[`${side}_thresh`])
+    };
+}
+
+/**
+ * Normalize the loudness of every audio stream of a media file with two `loudnorm`
+ * passes (EBU R128): the first measures the stream, the second applies a single gain
+ * computed from the measurement. `loudnorm` only falls back to dynamic compression
+ * when that gain would push the true peak over `truePeak`. Video is copied when the output can hold it,
+ * subtitle tracks are kept.
+ * 
+ * @param {string} inputPath - Path to the media file.
+ * @param {string} outputPath - Path to save the normalized file.
+ * @param {Object} [options] - Normalization options.
+ * @param {string|number} [options.loudness='streaming'] - Target: `streaming` (-14 LUFS),
+ *   `podcast` (-16 LUFS), `broadcast` (-23 LUFS) or a number of LUFS.
+ * @param {number} [options.truePeak=-1] - Highest true peak in dBTP.
+ * @param {string} [options.preset] - Output preset and the encoder options, see `mergeAudioVideo`.
+ * @param {Function} [options.onProgress] - Called with the percentage done over both passes.
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg and rejects with an `AbortError` when aborted.
+ * @returns {Promise} - Resolves with `{ output, target, truePeak, tracks }`, where `tracks` holds
+ *   `{ before, after, mode }` per audio stream: the measured `integrated` loudness (LUFS), `truePeak`
+ *   (dBTP), loudness `range` (LU) and gating `threshold`, and whether the gain was `linear` or
+ *   `dynamic`. A silent stream is left as it is, with `mode` set to `null`.
+ */
+async function normalizeLoudness(inputPath, outputPath, options = {}) {
+    const { onProgress, signal } = options;
+    const { target, truePeak } = resolveLoudnessTarget(options);
+    const plan = options.outputPlan || await planOutput(outputPath, inputPath, options);
+
+    const info = await probeMedia(inputPath, { signal });
+    const audioStreams = info.streams.filter((stream) => stream.type === 'audio');
+    if (audioStreams.length === 0) {
+        throw new MediaError(`${inputPath} has no audio stream to normalize`, 'ERR_NO_AUDIO_STREAM');
+    }
+    const base = `loudnorm=I=${target}:TP=${truePeak}`;
+
+    debugLog(`Measuring loudness of: ${inputPath}`);
+    const measured = await new Promise((resolve, reject) => {
+        const command = watchAbort(trackProgress(ffmpeg(inputPath), onProgress && ((percent) => onProgress(percent / 2)), info.duration), signal)
+            .outputOptions('-map', '0:a');
+        const reports = collectLoudnormReports(command);
+        audioStreams.forEach((stream, index) => {
+            command.outputOptions(`-filter:a:${index}`, `${base}:LRA=${LOUDNESS_RANGE}:print_format=json`);
+        });
+        command
+            .addOption('-f', 'null')
+            .on('end', () => {
+                if (reports.length !== audioStreams.length) {
+                    return reject(new Error(`Expected ${audioStreams.length} loudness measurements, got ${reports.length}`));
+                }
+                resolve(reports);
+            })
+            .on('error', (err) => {
+                debugLog(`Error measuring loudness: ${err.message}`);
+                reject(toAbortError(err, signal));
+            })
+            .output('nowhere')
+            .run();
+    });
+
+    const before = measured.map((report) => describeLoudnorm(report, 'input'));
+    debugLog(`Loudness of ${inputPath}: ${JSON.stringify(before)}`);
+
+    // Digital silence has no loudness to correct
+    const normalized = before.map(({ integrated }) => Number.isFinite(integrated));
+
+    debugLog(`Normalizing loudness to ${target} LUFS: ${outputPath}`);
+    const applied = await new Promise((resolve, reject) => {
+        const command = watchAbort(trackProgress(ffmpeg(inputPath), onProgress && ((percent) => onProgress(50 + percent / 2)), info.duration), signal)
+            .outputOptions(
+                ...(plan.audioOnly ? [] : ['-map', '0:v?', ...plan.videoArgs]),
+                '-map', '0:a', ...plan.audioArgs,
+                // Subtitle tracks are carried over when the output can hold them
+                ...(plan.subtitleArgs ? ['-map', '0:s?', ...plan.subtitleArgs] : []),
+                ...plan.muxerArgs);
+        const reports = collectLoudnormReports(command);
+        audioStreams.forEach((stream, index) => {
+            if (!normalized[index]) return;
+            const report = measured[index];
+            // A range at least as wide as the measured one keeps loudnorm in linear mode
+            const range = Math.min(Math.max(parseFloat(report.input_lra) || 0, LOUDNESS_RANGE), 50);
+            const filter = [
+                `${base}:LRA=${range}`,
+                `measured_I=${report.input_i}`,
+                `measured_TP=${report.input_tp}`,
+                `measured_LRA=${report.input_lra}`,
+                `measured_thresh=${report.input_thresh}`,
+                `offset=${report.target_offset}`,
+                'linear=true',
+                'print_format=json'
+            ].join(':');
+            // loudnorm works at 192 kHz, go back to the original rate (or the nearest the encoder takes)
+            const resample = stream.sampleRate ? `,aresample=${stream.sampleRate}` : '';
+            command.outputOptions(`-filter:a:${index}`, `${filter}${resample}`);
+        });
+        command
+            .save(outputPath)
+            .on('end', () => resolve(reports))
+            .on('error', (err) => {
+                debugLog(`Error normalizing loudness: ${err.message}`);
+                reject(toAbortError(err, signal));
+            });
+    });
+
+    // Reports are only printed for the streams that were filtered
+    const reports = applied.slice();
+    const tracks = before.map((measurement, index) => {
+        if (!normalized[index]) {
+            return { before: measurement, after: measurement, mode: null };
+        }
+        const report = reports.shift();
+        return {
+            before: measurement,
+            after: report ? describeLoudnorm(report, 'output') : null,
+            mode: report && report.normalization_type ? report.normalization_type.toLowerCase() : null
+        };
+    });
+    debugLog(`Normalized loudness saved: ${outputPath} ${JSON.stringify(tracks)}`);
+
+    return { output: outputPath, target, truePeak, tracks };
+}
+
+/**
+ * Tell the caller which pipeline stage is starting, if it asked to know.
+ * 
+ * @param {Object} options - Pipeline options, possibly holding an `onStage` callback.
+ * @param {string} stage - Name of the stage that starts.
+ */
+function reportStage(options, stage) {
+    if (typeof options.onStage === 'function') {
+        debugLog(`Stage: ${stage}`);
+        options.onStage(stage);
+    }
+}
+
+// How the shorter input is lengthened: `auto` loops the video or pads the audio,
+// `loop` and `pad` only allow one of the two, `none` muxes the inputs as they are.
+// `stretch` changes the audio tempo to the video length and `stretch-video` the video
+// speed to the audio length, falling back to `auto` beyond the stretch limits.
+// `shortest`, `longest`, `video` and `audio` pick the track that sets the output length
+// (`longest` is the same as `auto`); the other track is trimmed or lengthened to it.
+// A number of seconds is accepted as well and sets the output length directly.
+const FIT_STRATEGIES = ['auto', 'loop', 'pad', 'none', 'stretch', 'stretch-video', 'shortest', 'longest', 'video', 'audio'];
+
+// Rough share of the processing time spent in each stage, per strategy
+const PROGRESS_WEIGHTS = {
+    'loop-video': { looping: 4, muxing: 1 },
+    'extend-audio': { 'detecting-silence': 1, extending: 2, muxing: 1 },
+    'stretch-audio': { stretching: 2, muxing: 1 },
+    'stretch-video': { stretching: 4, muxing: 1 },
+    'loop-and-extend': { looping: 4, 'detecting-silence': 1, extending: 2, muxing: 1 },
+    trim: { muxing: 1 },
+    none: { muxing: 1 }
+};
+
+/**
+ * Check a `fit` option: one of `FIT_STRATEGIES` or a positive number of seconds.
+ */
+function isFit(fit) {
+    return FIT_STRATEGIES.includes(fit) || (typeof fit === 'number' && Number.isFinite(fit) && fit > 0);
+}
+
+/**
+ * Decide how the lengths of the two inputs are matched.
+ *
+ * @param {string|number} fit - One of `FIT_STRATEGIES` or the output length in seconds.
+ * @param {number} videoDuration - Duration of the video in seconds.
+ * @param {number} audioDuration - Duration of the audio in seconds.
+ * @param {Object} [limits] - Stretch limits, as the new length divided by the original length.
+ * @param {number} [limits.minStretch=0.8] - Fastest allowed speed-up.
+ * @param {number} [limits.maxStretch=1.25] - Slowest allowed slow-down.
+ * @returns {Object} - `{ strategy, stretch, duration }`, where `stretch` is the factor applied by the
+ *   `stretch-audio` and `stretch-video` strategies and `null` otherwise, and `duration` the output length.
+ */
+function chooseStrategy(fit, videoDuration, audioDuration, { minStretch = 0.8, maxStretch = 1.25 } = {}) {
+    if (!(minStretch > 0 && minStretch <= 1) || !(maxStretch >= 1)) {
+        throw new OptionError('`minStretch` must be between 0 and 1 and `maxStretch` at least 1');
+    }
+
+    if (fit === 'stretch' || fit === 'stretch-video') {
+        const stretch = fit === 'stretch' ? videoDuration / audioDuration : audioDuration / videoDuration;
+        if (stretch !== 1 && stretch >= minStretch && stretch <= maxStretch) {
+            return fit === 'stretch'
+                ? { strategy: 'stretch-audio', stretch, duration: videoDuration }
+                : { strategy: 'stretch-video', stretch, duration: audioDuration };
+        }
+        debugLog(`Stretch factor ${stretch} is outside ${minStretch}-${maxStretch}, falling back to auto`);
+    }
+
+    const longest = Math.max(videoDuration, audioDuration);
+    if (fit === 'loop' || fit === 'pad' || fit === 'none') {
+        if (audioDuration > videoDuration && fit === 'loop') {
+            return { strategy: 'loop-video', stretch: null, duration: longest };
+        }
+        if (videoDuration > audioDuration && fit === 'pad') {
+            return { strategy: 'extend-audio', stretch: null, duration: longest };
+        }
+        return { strategy: 'none', stretch: null, duration: longest };
+    }
+
+    let duration = longest;
+    if (typeof fit === 'number') {
+        duration = fit;
+    } else if (fit === 'shortest') {
+        duration = Math.min(videoDuration, audioDuration);
+    } else if (fit === 'video') {
+        duration = videoDuration;
+    } else if (fit === 'audio') {
+        duration = audioDuration;
+    }
+
+    const loop = duration > videoDuration;
+    const extend = duration > audioDuration;
+    let strategy = duration < longest ? 'trim' : 'none';
+    if (loop && extend) {
+        strategy = 'loop-and-extend';
+    } else if (loop) {
+        strategy = 'loop-video';
+    } else if (extend) {
+        strategy = 'extend-audio';
+    }
+    return { strategy, stretch: null, duration };
+}
+
+/**
+ * Check the options of a merge before any work is done, so a mistake is reported at once
+ * rather than after the inputs were probed or half of the output was rendered.
+ * 
+ * @param {string|string[]} videoInput - Path to the input video file, or the video clips to assemble.
+ * @param {string|string[]} audioInput - Path to the input audio file, or the audio clips to join.
+ * @param {string} outputPath - Path of the merged output, whose extension picks the container.
+ * @param {Object} [options] - Merge options, see `mergeMedia`.
+ * @throws {OptionError} - When an option or a combination of options is invalid.
+ */
+function checkMergeOptions(videoInput, audioInput, outputPath, options = {}) {
+    const { fit = 'auto', audioMode = 'replace' } = options;
+    if (!isFit(fit)) {
+        throw new OptionError(`Unknown fit strategy "${fit}", expected a number of seconds or one of: ${FIT_STRATEGIES.join(', ')}`);
+    }
+    if (!AUDIO_MODES.includes(audioMode)) {
+        throw new OptionError(`Unknown audio mode "${audioMode}", expected one of: ${AUDIO_MODES.join(', ')}`);
+    }
+    if (options.loudness !== undefined && options.loudness !== null) {
+        resolveLoudnessTarget(options);
+    }
+    const { audioOnly } = outputSettings(outputPath, options.preset);
+    if (options.background !== undefined && !STILL_BACKGROUNDS.includes(options.background)) {
+        throw new OptionError(`Unknown background "${options.background}", expected one of: ${STILL_BACKGROUNDS.join(', ')}`);
+    }
+    if (options.resolution !== undefined) {
+        stillImageSize(options.resolution);
+    }
+    // Audio-only outputs have nowhere to show captions
+    if (options.subtitles && !audioOnly) {
+        subtitleFormat(options.subtitles);
+        buildSubtitleFilter(options.subtitles, options);
+        if (options.subtitleMode !== undefined && !SUBTITLE_MODES.includes(options.subtitleMode)) {
+            throw new OptionError(`Unknown subtitle mode "${options.subtitleMode}", expected one of: ${SUBTITLE_MODES.join(', ')}`);
+        }
+    }
+    if (Array.isArray(audioInput) && audioInput.length > 1) {
+        planClipTimeline([], { gap: options.audioGap, crossfade: options.audioCrossfade });
+    }
+    if (options.clipOrder !== undefined && !CLIP_ORDERS.includes(options.clipOrder)) {
+        throw new OptionError(`Unknown clip order "${options.clipOrder}", expected one of: ${CLIP_ORDERS.join(', ')}`);
+    }
+    if (options.transition !== undefined && !TRANSITIONS.includes(options.transition)) {
+        throw new OptionError(`Unknown transition "${options.transition}", expected one of: ${TRANSITIONS.join(', ')}`);
+    }
+    if (options.frameRate !== undefined && !(options.frameRate > 0)) {
+        throw new OptionError('`frameRate` must be a positive number');
+    }
+}
+
+/**
+ * Run the full merge pipeline: loop the video or extend the audio so both
+ * tracks have the same length, then mux them into a single output file.
+ * 
+ * @param {string|string[]} videoInput - Path to the input video file, or the video clips to assemble.
+ * @param {string|string[]} audioInput - Path to the input audio file, or the audio clips to join.
+ * @param {string} outputVideoWithAudioPath - Path to save the merged output video.
+ * @param {Object} [options] - Pipeline options, see `mergeMedia`.
+ * @returns {Promise} - Resolves with a result object describing the merge.
+ */
+async function processMedia(videoInput, audioInput, outputVideoWithAudioPath, options = {}) {
+    const { fit = 'auto', audioMode = 'replace', signal } = options;
+    checkMergeOptions(videoInput, audioInput, outputVideoWithAudioPath, options);
+    const normalize = options.loudness !== undefined && options.loudness !== null;
+    const { audioOnly } = outputSettings(outputVideoWithAudioPath, options.preset);
+    const subtitles = audioOnly ? null : options.subtitles;
+    // A single clip needs no joining
+    const clipPaths = Array.isArray(audioInput) && audioInput.length > 1 ? audioInput : null;
+    const clipSpacing = { gap: options.audioGap, crossfade: options.audioCrossfade };
+    const videoClipPaths = Array.isArray(videoInput) && videoInput.length > 1 ? videoInput : null;
+    const videoFilePath = [].concat(videoInput)[0];
+    throwIfAborted(signal);
+
+    const tempDir = createWorkspace();
+    const joinedAudioPath = path.join(tempDir, 'joined-audio.wav');
+    const outputLoopedVideoPath = path.join(tempDir, 'looped-video.mp4');
+    const extendedAudioPath = path.join(tempDir, 'extended-audio.wav');
+    const stretchedAudioPath = path.join(tempDir, 'stretched-audio.wav');
+    const stretchedVideoPath = path.join(tempDir, 'stretched-video.mp4');
+    const stillVideoPath = path.join(tempDir, 'still-video.mp4');
+    const assembledVideoPath = path.join(tempDir, 'assembled-video.mp4');
+    const captionsPath = subtitles && path.join(tempDir, `captions${path.extname(subtitles).toLowerCase()}`);
+    // Lossless audio, so normalizing does not encode it twice
+    const mergedPath = path.join(tempDir, 'merged.mkv');
+    // The output is written under a hidden name next to it and only renamed once complete,
+    // so a failed or interrupted merge never leaves a truncated file that looks finished
+    const outputDir = path.dirname(outputVideoWithAudioPath);
+    const outputExtension = path.extname(outputVideoWithAudioPath);
+    const partialOutputPath = path.join(outputDir,
+        `.${path.basename(outputVideoWithAudioPath, outputExtension)}.${path.basename(tempDir)}.partial${outputExtension}`);
+    let finished = false;
+
+    try {
+        reportStage(options, 'probing');
+        let videoInfo;
+        let videoClipInfo = null;
+        let videoClips = null;
+        if (videoClipPaths) {
+            videoClipInfo = [];
+            for (const [index, clipPath] of videoClipPaths.entries()) {
+                videoClipInfo.push(await probeVideoClip(clipPath, index, { signal }));
+            }
+            videoInfo = videoClipInfo[0];
+        } else {
+            videoInfo = await probeInput(videoFilePath, 'video', { signal });
+        }
+        const audioFilePath = clipPaths ? joinedAudioPath : [].concat(audioInput)[0];
+        let audioDuration;
+        let clipInfo = null;
+        let clips = null;
+        if (clipPaths) {
+            clipInfo = [];
+            for (const [index, clipPath] of clipPaths.entries()) {
+                clipInfo.push(await probeInput(clipPath, 'audio', { exactDuration: options.exactDuration, signal }, `audio clip ${index + 1}`));
+            }
+            audioDuration = planClipTimeline(clipInfo.map((info) => info.duration), clipSpacing).duration;
+        } else {
+            audioDuration = (await probeInput(audioFilePath, 'audio', { exactDuration: options.exactDuration, signal })).duration;
+        }
+        if (options.music) {
+            await probeInput(options.music, 'audio', { signal }, 'music');
+        }
+        if (subtitles) {
+            try {
+                await fs.promises.access(subtitles, fs.constants.R_OK);
+            } catch (err) {
+                throw new MediaError(`Cannot open the subtitles "${subtitles}": ${err.code === 'ENOENT' ? 'no such file' : err.message}`, 'ERR_INPUT_NOT_FOUND', { cause: err });
+            }
+        }
+        // A still image becomes a video as long as the output: the audio, or a `fit` in seconds
+        const still = videoInfo.image;
+        const stillFit = typeof fit === 'number' ? fit : 'audio';
+        let videoDuration = still ? (stillFit === 'audio' ? audioDuration : stillFit) : videoInfo.duration;
+        const clipDurations = videoClipInfo && videoClipInfo.map((info) => info.duration);
+        if (clipDurations) {
+            // One pass through every clip, each overlapping the one before by the crossfade
+            const sum = clipDurations.reduce((total, clipDuration) => total + clipDuration, 0);
+            videoDuration = sum - (clipDurations.length - 1) * (options.crossfade || 0);
+        }
+
+        debugLog(`Video duration: ${videoDuration} seconds${still ? ' (still image)' : ''}, Audio duration: ${audioDuration} seconds`);
+
+        let finalAudioPath = audioFilePath;
+        let finalVideoPath = videoFilePath;
+        const { strategy, stretch, duration: targetDuration } = chooseStrategy(still ? stillFit : fit, videoDuration, audioDuration, options);
+
+        let duration = targetDuration;
+        if (duration < videoDuration) {
+            // Cut the video on a frame boundary, so the last frame is shown for its full length
+            const frameRate = (videoClipPaths && options.frameRate) || videoInfo.video.fps;
+            if (frameRate) {
+                duration = Math.max(Math.round(duration * frameRate), 1) / frameRate;
+            }
+            debugLog(`Trimming the output to ${duration} seconds`);
+        }
+
+        const looping = strategy === 'loop-video' || strategy === 'loop-and-extend';
+        let clipSequence = null;
+        if (clipDurations) {
+            // The clips are cycled to cover a longer output; a stretched video is one pass of them
+            let clipTarget = looping ? duration : Math.min(duration, videoDuration);
+            if (strategy === 'stretch-video') clipTarget = videoDuration;
+            clipSequence = planClipSequence(clipDurations, clipTarget, { ...options, completeLoops: looping && options.completeLoops });
+            if (looping) duration = clipSequence.duration;
+        } else if (looping && options.completeLoops) {
+            // Let the last iteration play out and pad the audio to match
+            duration = planLoops(videoDuration, duration, options).duration;
+        }
+
+        let silenceThreshold = null;
+        let silences = null;
+        let loopMethod = null;
+        let padding = null;
+        const weights = { ...PROGRESS_WEIGHTS[strategy] };
+        if (clipPaths) weights.joining = 1;
+        if (options.music) weights['detecting-speech'] = 1;
+        if (normalize) weights.normalizing = 2;
+        if (still) weights.rendering = 2;
+        if (videoClipPaths) {
+            // Assembling the clips takes the place of looping
+            weights.assembling = weights.looping || 2;
+            delete weights.looping;
+        }
+        const report = combineProgress(options.onProgress, weights);
+        report('muxing', 0);
+
+        if (clipPaths) {
+            reportStage(options, 'joining');
+            ({ clips } = await concatAudio(clipPaths, joinedAudioPath, {
+                ...clipSpacing,
+                clipInfo,
+                onProgress: (percent) => report('joining', percent),
+                signal
+            }));
+        }
+        report('joining', 100);
+
+        if (still && !audioOnly) {
+            reportStage(options, 'rendering');
+            finalVideoPath = await renderStillImage(videoFilePath, videoDuration, stillVideoPath, {
+                resolution: options.resolution,
+                background: options.background,
+                kenBurns: options.kenBurns,
+                onProgress: (percent) => report('rendering', percent),
+                signal
+            });
+        }
+        report('rendering', 100);
+
+        if (videoClipPaths && !audioOnly) {
+            reportStage(options, 'assembling');
+            const assembled = await assembleClips(videoClipPaths, clipSequence.duration, assembledVideoPath, {
+                resolution: options.resolution,
+                frameRate: options.frameRate,
+                crossfade: options.crossfade,
+                transition: options.transition,
+                clipInfo: videoClipInfo,
+                sequence: clipSequence.sequence,
+                onProgress: (percent) => report('assembling', percent),
+                signal
+            });
+            finalVideoPath = assembled.output;
+            videoClips = assembled.clips;
+            if (looping) loopMethod = assembled.method;
+        }
+        report('assembling', 100);
+
+        // An audio-only output has no use for a longer video, the original audio is looped while muxing
+        if (looping && !audioOnly && !videoClipPaths) {
+            reportStage(options, 'looping');
+            const loop = await renderLoop(videoFilePath, videoDuration, duration, outputLoopedVideoPath, {
+                crossfade: options.crossfade,
+                transition: options.transition,
+                boomerang: options.boomerang,
+                completeLoops: options.completeLoops,
+                onProgress: (percent) => report('looping', percent),
+                signal
+            });
+            finalVideoPath = loop.output;
+            loopMethod = loop.method;
+        }
+        report('looping', 100);
+
+        if (strategy === 'extend-audio' || strategy === 'loop-and-extend') {
+            reportStage(options, 'detecting-silence');
+            // Measuring the loudness for an automatic threshold takes as long as the detection itself
+            const measured = options.silenceThreshold === 'auto';
+            silenceThreshold = await resolveSilenceThreshold(audioFilePath, {
+                silenceThreshold: options.silenceThreshold,
+                onProgress: (percent) => report('detecting-silence', percent / 2),
+                signal
+            });
+            silences = await detectSilences(audioFilePath, {
+                ...options,
+                silenceThreshold,
+                onProgress: (percent) => report('detecting-silence', measured ? 50 + percent / 2 : percent)
+            });
+            report('detecting-silence', 100);
+
+            const { maxPause, padRemainder } = options;
+            padding = planSilencePadding({ audioDuration, targetDuration: duration, silences, maxPause, padRemainder });
+            finalAudioPath = await extendAudioWithSilence(audioFilePath, duration, extendedAudioPath, {
+                ...options,
+                audioDuration,
+                silences,
+                segments: padding,
+                onProgress: (percent) => report('extending', percent)
+            });
+            report('extending', 100);
+        } else if (strategy === 'stretch-audio') {
+            reportStage(options, 'stretching');
+            finalAudioPath = await stretchAudio(audioFilePath, duration, stretchedAudioPath, {
+                audioDuration,
+                onProgress: (percent) => report('stretching', percent),
+                signal
+            });
+        } else if (strategy === 'stretch-video' && !audioOnly) {
+            reportStage(options, 'stretching');
+            finalVideoPath = await stretchVideo(finalVideoPath, duration, stretchedVideoPath, {
+                videoDuration,
+                onProgress: (percent) => report('stretching', percent),
+                signal
+            });
+        }
+        report('stretching', 100);
+
+        // The music is ducked wherever the final voice track is not silent
+        let voiceSilences = [];
+        if (options.music && options.duckMusic !== false) {
+            reportStage(options, 'detecting-speech');
+            const threshold = silenceThreshold !== null ? silenceThreshold : await resolveSilenceThreshold(finalAudioPath, {
+                silenceThreshold: options.silenceThreshold,
+                signal
+            });
+            voiceSilences = await detectSilences(finalAudioPath, {
+                ...options,
+                silenceThreshold: threshold,
+                onProgress: (percent) => report('detecting-speech', percent)
+            });
+        }
+        report('detecting-speech', 100);
+
+        // Without an original audio track there is nothing to mix or keep; assembled clips have none
+        const usedAudioMode = videoInfo.audio && !videoClipPaths ? audioMode : 'replace';
+        if (usedAudioMode !== audioMode) {
+            debugLog(`The video has no audio track, ignoring audio mode ${audioMode}`);
+        }
+
+        // Where every moment of the audio input ends up in the output
+        const timing = planTimingMap({
+            audioDuration,
+            duration,
+            padding,
+            stretch: strategy === 'stretch-audio' ? stretch : 1
+        });
+
+        // Captions are timed to the audio input, move them along with it; cues past a cut end with the output
+        if (subtitles) {
+            await retimeSubtitles(subtitles, captionsPath, (time) => {
+                const mapped = mapTime(timing, time);
+                return mapped === null ? duration : mapped;
+            });
+        }
+        const burn = Boolean(subtitles) && options.subtitleMode === 'burn';
+
+        // When normalizing, the video is encoded for the output while muxing and copied afterwards
+        let outputPlan = null;
+        if (normalize) {
+            outputPlan = await planOutput(partialOutputPath, finalVideoPath, { ...options, reencode: options.fadeOut > 0 || burn });
+        }
+
+        reportStage(options, 'muxing');
+        await mergeAudioVideo(finalVideoPath, finalAudioPath, normalize ? mergedPath : partialOutputPath, {
+            ...options,
+            ...(normalize && { outputPlan: { ...outputPlan, audioArgs: ['-c:a', 'flac'], subtitleArgs: ['-c:s', 'copy'], muxerArgs: [] } }),
+            subtitles: subtitles ? captionsPath : undefined,
+            duration,
+            padAudio: looping && duration > audioDuration && finalAudioPath === audioFilePath,
+            audioMode: usedAudioMode,
+            // The original audio is read from the input and follows what was done to the video
+            originalAudio: videoFilePath,
+            loopOriginal: looping,
+            originalTempo: strategy === 'stretch-video' ? 1 / stretch : 1,
+            voiceSilences,
+            onProgress: (percent) => report('muxing', percent)
+        });
+        report('muxing', 100);
+
+        let loudness = null;
+        if (normalize) {
+            reportStage(options, 'normalizing');
+            loudness = await normalizeLoudness(mergedPath, partialOutputPath, {
+                loudness: options.loudness,
+                truePeak: options.truePeak,
+                outputPlan: { ...outputPlan, videoArgs: ['-c:v', 'copy'] },
+                onProgress: (percent) => report('normalizing', percent),
+                signal
+            });
+            delete loudness.output;
+            report('normalizing', 100);
+        }
+
+        await fs.promises.rename(partialOutputPath, outputVideoWithAudioPath);
+        finished = true;
+        debugLog(`Merged video created at: ${outputVideoWithAudioPath}`);
+
+        return {
+            output: outputVideoWithAudioPath,
+            videoDuration: still ? null : videoDuration,
+            audioDuration,
+            still,
+            duration,
+            strategy,
+            stretch,
+            loopMethod,
+            audioMode: usedAudioMode,
+            silenceThreshold,
+            silences,
+            loudness,
+            timing,
+            clips,
+            videoClips,
+            mapTime: (seconds) => mapTime(timing, seconds)
+        };
+    } finally {
+        // Delete the job's intermediate files and whatever part of the output was written
+        removeWorkspace(tempDir);
+        if (!finished) {
+            await fs.promises.rm(partialOutputPath, { force: true });
+        }
+    }
+}
+
+/**
+ * Merge an audio file into a video file, looping the video or extending the
+ * audio with silence so that both end at the same time.
+ * 
+ * @param {Object} options - Merge options.
+ * @param {string|string[]} options.video - Path to the input video file, or a still image (PNG, JPEG...)
+ *   that is rendered as a video as long as the audio (or a `fit` in seconds), or a list of video clips
+ *   played one after another (see `assembleClips`) and treated as one video whose length is a pass
+ *   through all of them.
+ * @param {string|string[]} options.audio - Path to the input audio file, or a list of audio clips
+ *   joined in order into one narration (see `concatAudio`) before the lengths are matched.
+ * @param {string} options.output - Path to save the merged output video.
+ * @param {string|number} [options.fit='auto'] - Fit strategy: `auto`, `loop`, `pad`, `none`, `stretch`,
+ *   `stretch-video`, `shortest`, `longest`, `video` or `audio`, or the output length in seconds.
+ * @param {number|string} [options.silenceThreshold=-50] - Noise floor in dB used to detect pauses,
+ *   or `auto` to pick it from the measured loudness of the audio.
+ * @param {number} [options.minSilence=0.5] - Minimum pause length in seconds.
+ * @param {number} [options.maxPause=5] - Maximum silence in seconds added to a single pause.
+ * @param {string} [options.padRemainder='end'] - Where padding that does not fit into the pauses goes:
+ *   `end`, `start` or `proportional`.
+ * @param {number} [options.minStretch=0.8] - Shortest length, relative to the original, a track may be
+ *   sped up to by the stretch strategies.
+ * @param {number} [options.maxStretch=1.25] - Longest length, relative to the original, a track may be
+ *   slowed down to by the stretch strategies.
+ * @param {number} [options.audioGap=0] - Seconds of silence between audio clips.
+ * @param {number} [options.audioCrossfade=0] - Seconds each audio clip fades into the next, instead of a gap.
+ * @param {number} [options.fadeOut=0] - Seconds to fade out the audio and video at the end.
+ * @param {number} [options.crossfade=0] - Seconds to crossfade between iterations of a looped video,
+ *   or between video clips.
+ * @param {string} [options.transition='fade'] - How iterations or clips are crossfaded: `fade`, `dissolve`,
+ *   `fadeblack`, `fadewhite`, `wipeleft`, `wiperight`, `wipeup`, `wipedown`, `slideleft`, `slideright`,
+ *   `slideup`, `slidedown`, `circleopen`, `circleclose`, `radial` or `pixelize`.
+ * @param {string} [options.clipOrder='sequence'] - Order video clips play in: `sequence` repeats the
+ *   given order, `shuffle` plays every round in a new random order.
+ * @param {number} [options.frameRate] - Frame rate of assembled video clips, by default the first clip's.
+ * @param {boolean} [options.boomerang=false] - Play every other iteration of a looped video in reverse.
+ * @param {boolean} [options.completeLoops=false] - End a looped video on a complete iteration and
+ *   pad the audio to match, instead of cutting the last iteration.
+ * @param {boolean} [options.exactDuration=false] - Decode the whole audio to measure its duration
+ *   instead of trusting the container, see `probeMedia`.
+ * @param {string} [options.audioMode='replace'] - What to do with audio the video already has:
+ *   `replace`, `mix`, `duck` or `multi-track`.
+ * @param {number} [options.audioGain=0] - Gain in dB for the new audio when it is combined with the original.
+ * @param {number} [options.originalGain=0] - Gain in dB for the original audio.
+ * @param {string} [options.audioLanguage] - Language code of the new audio track (`multi-track`).
+ * @param {string} [options.originalLanguage] - Language code of the original audio track (`multi-track`).
+ * @param {string} [options.audioTitle] - Title of the new audio track (`multi-track`).
+ * @param {string} [options.originalTitle='Original audio'] - Title of the original audio track (`multi-track`).
+ * @param {string} [options.music] - Path to a music file laid under the audio, looped or cut to the
+ *   output length.
+ * @param {number} [options.musicGain=-15] - Gain in dB for the music.
+ * @param {number} [options.musicFadeIn=1] - Seconds to fade the music in.
+ * @param {number} [options.musicFadeOut=2] - Seconds to fade the music out.
+ * @param {boolean} [options.duckMusic=true] - Lower the music wherever the audio is not silent.
+ * @param {string|number} [options.loudness] - Normalize the output loudness to `streaming` (-14 LUFS),
+ *   `podcast` (-16 LUFS), `broadcast` (-23 LUFS) or a number of LUFS, see `normalizeLoudness`.
+ * @param {number} [options.truePeak=-1] - Highest true peak in dBTP when normalizing.
+ * @param {string} [options.resolution] - Frame size of a still image video or of assembled video clips,
+ *   such as `1920x1080`. Clips default to the size of the first one.
+ * @param {string} [options.background='letterbox'] - How a still image of another shape is framed:
+ *   `letterbox` or `blur`.
+ * @param {boolean} [options.kenBurns=false] - Zoom and pan slowly across a still image.
+ * @param {string} [options.preset] - Output preset: `web-mp4`, `webm`, `mov`, `m4a`, `mp3` or `wav`.
+ *   Without one the container follows the output file extension.
+ * @param {string} [options.videoCodec='copy'] - Output video codec. `copy` keeps the video when the
+ *   output can hold it and encodes it otherwise.
+ * @param {string} [options.audioCodec] - Output audio codec, by default the one of the preset or
+ *   container (`aac` for MP4).
+ * @param {number} [options.crf] - Constant quality for the video encoder; the video is then encoded.
+ * @param {string|number} [options.videoBitrate] - Video bitrate such as `4M`; the video is then encoded.
+ * @param {string|number} [options.audioBitrate] - Audio bitrate such as `192k`.
+ * @param {string} [options.subtitles] - SRT, WebVTT or ASS captions timed to the audio input. Cues
+ *   are moved with the pauses added when the audio is extended and with a stretched audio.
+ * @param {string} [options.subtitleMode='soft'] - `soft` adds a subtitle track, `burn` draws the
+ *   captions into the video (which is then encoded).
+ * @param {string} [options.subtitleLanguage] - Language code of the subtitle track (`soft`).
+ * @param {string} [options.subtitleFont] - Font name of burned-in captions.
+ * @param {number} [options.subtitleSize] - Font size of burned-in captions.
+ * @param {string} [options.subtitlePosition] - `bottom`, `middle` or `top` (burned-in captions).
+ * @param {number} [options.subtitleOutline] - Outline width of burned-in captions.
+ * @param {Function} [options.onStage] - Called with the name of each stage as it starts:
+ *   `probing`, `joining`, `rendering`, `assembling`, `detecting-silence`, `extending`, `looping`, `stretching`,
+ *   `detecting-speech`, `muxing`, `normalizing`.
+ * @param {Function} [options.onProgress] - Called with the overall percentage (0-100) done,
+ *   weighted across all stages.
+ * @param {AbortSignal} [options.signal] - Cancels the merge: running ffmpeg processes are killed,
+ *   intermediate files removed and the promise rejects with an `AbortError`.
+ * @returns {Promise} - Resolves with `{ output, videoDuration, audioDuration, still, duration, strategy,
+ *   stretch, loopMethod, audioMode, silenceThreshold, silences, loudness, timing, clips, videoClips, mapTime }`; `stretch` is only
+ *   set when a track was stretched, `loopMethod` (`copy`, `concat` or `reencode`) when the video was
+ *   looped and `silenceThreshold` and `silences` when the audio was extended. `audioMode` is `replace` when the video had
+ *   no audio to keep. `still` is `true` when the video was a still image, whose `videoDuration`
+ *   is `null`. `loudness` holds the `normalizeLoudness` measurements when `loudness` was set.
+ *   `timing` maps the audio input onto the output, see `planTimingMap`; `mapTime(seconds)` moves
+ *   timestamps (chapters, markers) of the original audio through it, like the exported `mapTime(timing, seconds)`. With several audio clips, `clips` holds the
+ *   `path`, `start` and `end` of each in the joined audio the timing map starts from, and is `null` otherwise.
+ *   With several video clips, `videoClips` holds the `path`, `start` and `end` of every clip played in
+ *   the assembled video (before a stretch), and `audioMode` is always `replace`.
+ *   Rejects with a `MediaError` when an input is missing, unreadable, lacks the stream it is
+ *   used for or has no known duration.
+ */
+function mergeMedia({ video, audio, output, ...options } = {}) {
+    const empty = (input) => Array.isArray(input) && input.length === 0;
+    if (!video || !audio || !output || empty(video) || empty(audio)) {
+        return Promise.reject(new OptionError('mergeMedia requires `video`, `audio` and `output` paths'));
+    }
+    if (options.music) {
+        options.music = path.resolve(options.music);
+    }
+    if (options.subtitles) {
+        options.subtitles = path.resolve(options.subtitles);
+    }
+
+    const resolveInput = (input) => (Array.isArray(input) ? input.map((clip) => path.resolve(clip)) : path.resolve(input));
+    return processMedia(resolveInput(video), resolveInput(audio), path.resolve(output), options);
+}
+
+module.exports = {
+    mergeMedia,
+    checkMergeOptions,
+    setDebug,
+    createWorkspace,
+    removeWorkspace,
+    AbortError,
+    MediaError,
+    OptionError,
+    FIT_STRATEGIES,
+    AUDIO_MODES,
+    PAD_REMAINDERS,
+    LOUDNESS_PRESETS,
+    OUTPUT_PRESETS,
+    STILL_BACKGROUNDS,
+    SUBTITLE_MODES,
+    SUBTITLE_POSITIONS,
+    TRANSITIONS,
+    CLIP_ORDERS,
+    getDuration,
+    probeMedia,
+    getFrameRate,
+    getKeyframes,
+    measureLoudness,
+    pickSilenceThreshold,
+    detectSilences,
+    planSilencePadding,
+    extendAudioWithSilence,
+    planTimingMap,
+    mapTime,
+    loopVideo,
+    planClipSequence,
+    assembleClips,
+    stretchAudio,
+    stretchVideo,
+    concatAudio,
+    renderStillImage,
+    retimeSubtitles,
+    mergeAudioVideo,
+    normalizeLoudness
+};
+
+// Run the bundled example when executed directly (`node index.js`)
+if (require.main === module) {
+    // Scenario 1 - when the input video is shorter than the audio, the video should loop
+    const videoFilePath = path.join(__dirname, 'input-video.mp4');
+    // Scenario 2 - when the input audio is shorter than the video, the audio should be extended
+    //const videoFilePath = path.join(__dirname, 'looped-input-video.mp4');
+
+    const audioFilePath = path.join(__dirname, 'input-audio.mp3');
+    const outputVideoWithAudioPath = path.join(__dirname, 'output-video-with-audio.mp4');
+
+    mergeMedia({ video: videoFilePath, audio: audioFilePath, output: outputVideoWithAudioPath })
+        .then((result) => console.log(`Merged video created at: ${result.output}`))
+        .catch((err) => {
+            console.error('Error processing files:', err);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { mergeMedia, AbortError, OUTPUT_PRESETS } = require('../index');
+const { debugLog } = require('./debug');
+
+// Files picked up when pairing directories
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.flac', '.ogg', '.opus'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.webm', '.m4v', '.png', '.jpg', '.jpeg'];
+
+// Row fields holding file paths, resolved against the manifest directory
+const PATH_FIELDS = ['video', 'audio', 'output', 'music', 'subtitles'];
+
+// Row fields an output is compared against to decide whether it is up to date
+const INPUT_FIELDS = ['video', 'audio', 'music', 'subtitles'];
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may hold commas, line breaks
+ * and doubled quotes.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    // Blank lines carry no row
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Read a CSV cell as the option value it stands for: numbers and `true`/`false`
+ * are converted, empty cells leave the option unset.
+ */
+function parseCell(value) {
+    const text = value.trim();
+    if (text === '') return undefined;
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+/**
+ * Read a batch manifest: a JSON array of rows, or a CSV file with a header line.
+ * Every row has `video`, `audio` and `output` paths and any other `mergeMedia`
+ * option (CSV columns are named after the options). In JSON, `video` and `audio` may be lists of clips. Relative paths are
+ * resolved against the manifest directory.
+ *
+ * @param {string} manifestPath - Path to a `.json` or `.csv` manifest.
+ * @returns {Promise} - Resolves with the rows.
+ */
+async function readManifest(manifestPath) {
+    const text = await fs.promises.readFile(manifestPath, 'utf8');
+    const extension = path.extname(manifestPath).toLowerCase();
+
+    let rows;
+    if (extension === '.json') {
+        rows = JSON.parse(text);
+        if (!Array.isArray(rows) || !rows.every((row) => row && typeof row === 'object' && !Array.isArray(row))) {
+            throw new TypeError(`${manifestPath} must hold an array of row objects`);
+        }
+    } else if (extension === '.csv') {
+        const [header = [], ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+        const columns = header.map((name) => name.trim());
+        rows = lines.map((cells) => {
+            const row = {};
+            columns.forEach((column, index) => {
+                const value = parseCell(cells[index] || '');
+                if (column && value !== undefined) row[column] = value;
+            });
+            return row;
+        });
+    } else {
+        throw new TypeError(`A manifest must be a .json or .csv file, got ${manifestPath}`);
+    }
+
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    return rows.map((row) => {
+        const resolved = { ...row };
+        for (const field of PATH_FIELDS) {
+            if (typeof resolved[field] === 'string') {
+                resolved[field] = path.resolve(baseDir, resolved[field]);
+            } else if (Array.isArray(resolved[field])) {
+                // A list of clips
+                resolved[field] = resolved[field].map((file) => path.resolve(baseDir, file));
+            }
+        }
+        return resolved;
+    });
+}
+
+/**
+ * Build batch rows from a directory of audio files, sorted by name. `video` is either
+ * a single video (or still image) or a list of video clips shared by every row, or a
+ * directory holding a video with the same base name as each audio file (`ep1.mp4` for `ep1.mp3`).
+ *
+ * @param {string} audioDir - Directory with the audio files.
+ * @param {string|string[]} video - Shared video file or video clips, or directory of videos.
+ * @returns {Promise} - Resolves with `{ video, audio }` rows. An audio file without a
+ *   matching video gets a row without `video`, which fails when the batch runs.
+ */
+async function pairDirectory(audioDir, video) {
+    const listMedia = async (directory, extensions) => (await fs.promises.readdir(directory, { withFileTypes: true }))
+        .filter((entry) => entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase()))
+        .map((entry) => entry.name)
+        .sort();
+
+    const audioFiles = await listMedia(audioDir, AUDIO_EXTENSIONS);
+    const videoIsDir = !Array.isArray(video) && (await fs.promises.stat(video)).isDirectory();
+    const videos = new Map();
+    if (videoIsDir) {
+        for (const name of await listMedia(video, VIDEO_EXTENSIONS)) {
+            const base = path.basename(name, path.extname(name));
+            if (!videos.has(base)) videos.set(base, path.resolve(video, name));
+        }
+    }
+
+    const shared = Array.isArray(video) ? video.map((clip) => path.resolve(clip)) : path.resolve(video);
+    return audioFiles.map((name) => ({
+        video: videoIsDir ? videos.get(path.basename(name, path.extname(name))) : shared,
+        audio: path.resolve(audioDir, name)
+    }));
+}
+
+/**
+ * Check whether an output is newer than every input it is made from.
+ */
+async function isUpToDate(row) {
+    const mtime = async (filePath) => (await fs.promises.stat(filePath)).mtimeMs;
+    try {
+        const outputTime = await mtime(row.output);
+        const inputs = INPUT_FIELDS.flatMap((field) => row[field] || []);
+        const inputTimes = await Promise.all(inputs.map(mtime));
+        return inputTimes.every((inputTime) => inputTime <= outputTime);
+    } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+    }
+}
+
+/**
+ * Merge every row of a batch with `mergeMedia`, a few at a time. A row that fails is
+ * recorded and the batch goes on with the next one.
+ *
+ * @param {Array} rows - Rows from `readManifest` or `pairDirectory`: `video`, `audio`, `output` and options.
+ * @param {Object} [options] - Batch options.
+ * @param {Object} [options.defaults] - `mergeMedia` options for every row; row fields override them.
+ * @param {string} [options.outputDir] - Directory for rows without an `output`: the output is named
+ *   after the audio file, with the extension of the `preset` (`.mp4` without one).
+ * @param {number} [options.concurrency=2] - Maximum number of merges running at once.
+ * @param {boolean} [options.force=false] - Merge rows whose output is already newer than their inputs.
+ * @param {Function} [options.onRow] - Called with each row's report as the row finishes.
+ * @param {AbortSignal} [options.signal] - Stops the running merges; rows not started yet fail with `ABORT_ERR`.
+ * @returns {Promise} - Resolves with `{ total, done, skipped, failed, elapsed, rows }`. Every row report
+ *   holds the row `index`, `video`, `audio`, `output`, `status` (`done`, `skipped` or `failed`), the
+ *   `mergeMedia` `result` or the `error` (`{ message, code }`) and the `elapsed` milliseconds.
+ */
+async function runBatch(rows, { defaults = {}, outputDir, concurrency = 2, force = false, onRow, signal } = {}) {
+    if (!(concurrency >= 1)) {
+        throw new TypeError('Batch `concurrency` must be at least 1');
+    }
+    const batchStart = Date.now();
+    const reports = new Array(rows.length);
+
+    const runRow = async (index) => {
+        const row = { ...defaults, ...rows[index] };
+        // Named after the audio, or its first clip
+        const audio = [].concat(row.audio || [])[0];
+        if (!row.output && outputDir && audio) {
+            const preset = OUTPUT_PRESETS[row.preset];
+            row.output = path.resolve(outputDir, `${path.basename(audio, path.extname(audio))}${preset ? preset.extension : '.mp4'}`);
+        }
+        const report = { index, video: row.video || null, audio: row.audio || null, output: row.output || null, status: null, result: null, error: null, elapsed: 0 };
+        const rowStart = Date.now();
+
+        try {
+            if (signal && signal.aborted) {
+                throw new AbortError();
+            }
+            if (!row.video || !audio || !row.output) {
+                throw new TypeError(`Row ${index + 1} needs \`video\`, \`audio\` and \`output\``);
+            }
+            if (!force && await isUpToDate(row)) {
+                debugLog(`Skipping row ${index + 1}, ${row.output} is up to date`);
+                report.status = 'skipped';
+            } else {
+                await fs.promises.mkdir(path.dirname(path.resolve(row.output)), { recursive: true });
+                report.result = await mergeMedia({ ...row, signal });
+                report.status = 'done';
+            }
+        } catch (err) {
+            debugLog(`Row ${index + 1} failed: ${err.message}`);
+            report.status = 'failed';
+            report.error = { message: err.message, code: err.code || null };
+        }
+
+        report.elapsed = Date.now() - rowStart;
+        reports[index] = report;
+        if (onRow) onRow(report);
+    };
+
+    let next = 0;
+    const worker = async () => {
+        while (next < rows.length) {
+            await runRow(next++);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, rows.length) }, worker));
+
+    const count = (status) => reports.filter((report) => report.status === status).length;
+    return {
+        total: rows.length,
+        done: count('done'),
+        skipped: count('skipped'),
+        failed: count('failed'),
+        elapsed: Date.now() - batchStart,
+        rows: reports
+    };
+}
+
+/**
+ * Save a batch summary as JSON.
+ *
+ * @param {Object} summary - Summary returned by `runBatch`.
+ * @param {string} reportPath - File to write.
+ */
+async function writeReport(summary, reportPath) {
+    await fs.promises.writeFile(reportPath, `${JSON.stringify(summary, null, 2)}\n`);
+    debugLog(`Batch report saved: ${reportPath}`);
+}
+
+module.exports = {
+    AUDIO_EXTENSIONS,
+    VIDEO_EXTENSIONS,
+    readManifest,
+    pairDirectory,
+    runBatch,
+    writeReport
+};
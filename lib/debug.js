@@ -0,0 +1,19 @@
+// Toggle DEBUG mode
+let DEBUG = process.env.AV_MERGE_DEBUG !== '0'; // Set AV_MERGE_DEBUG=0 (or call setDebug(false)) to disable debug logs
+
+function debugLog(...messages) {
+    if (DEBUG) {
+        console.error('[DEBUG]', ...messages);
+    }
+}
+
+/**
+ * Enable or disable debug logging at runtime.
+ * 
+ * @param {boolean} enabled - Whether debug messages should be printed.
+ */
+function setDebug(enabled) {
+    DEBUG = Boolean(enabled);
+}
+
+module.exports = { debugLog, setDebug };
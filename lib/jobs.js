@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { mergeMedia, checkMergeOptions, AbortError, OptionError, OUTPUT_PRESETS } = require('../index');
+const { debugLog } = require('./debug');
+
+// Every state a job can report, in pipeline order
+const JOB_STATES = ['queued', 'probing', 'joining', 'rendering', 'assembling', 'detecting-silence', 'extending', 'looping', 'stretching', 'detecting-speech', 'muxing', 'normalizing', 'done', 'failed'];
+const FINISHED_STATES = ['done', 'failed'];
+
+// Optional input files of a merge, moved along with the video and audio
+const OPTIONAL_INPUTS = ['music', 'subtitles'];
+
+/**
+ * Keeps job records in memory. Jobs are lost when the process exits.
+ */
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    async save(job) {
+        this.jobs.set(job.id, { ...job });
+    }
+
+    async delete(id) {
+        this.jobs.delete(id);
+    }
+
+    async list() {
+        return Array.from(this.jobs.values(), (job) => ({ ...job }));
+    }
+}
+
+/**
+ * Keeps every job record as a JSON file in a directory, so jobs survive a restart.
+ */
+class FileJobStore {
+    /**
+     * @param {string} directory - Directory holding one `<id>.json` file per job.
+     */
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(id) {
+        // Ids are generated by the queue, but never let one escape the store directory
+        if (!/^[\w-]+$/.test(id)) {
+            throw new TypeError(`Invalid job id: ${id}`);
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async get(id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(id), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT' || err instanceof TypeError) return null;
+            throw err;
+        }
+    }
+
+    async save(job) {
+        // Write to a temp file first so a crash never leaves a half-written record
+        const filePath = this.filePath(job.id);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(job, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async delete(id) {
+        await fs.promises.rm(this.filePath(id), { force: true });
+    }
+
+    async list() {
+        const files = await fs.promises.readdir(this.directory);
+        const jobs = await Promise.all(files
+            .filter((file) => file.endsWith('.json'))
+            .map((file) => this.get(path.basename(file, '.json'))));
+        return jobs.filter(Boolean);
+    }
+}
+
+/**
+ * Move a file, falling back to copy and delete when it lives on another device.
+ */
+async function moveFile(source, target) {
+    try {
+        await fs.promises.rename(source, target);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.copyFile(source, target);
+        await fs.promises.unlink(source);
+    }
+}
+
+/**
+ * Move an input file, or each of a list of clips, into a job directory as `input-<name><ext>`
+ * (`input-<name>-1<ext>`, `input-<name>-2<ext>`... for clips).
+ */
+async function moveInput(input, jobDir, name) {
+    if (Array.isArray(input)) {
+        const moved = [];
+        for (const [index, clip] of input.entries()) {
+            moved.push(await moveInput(clip, jobDir, `${name}-${index + 1}`));
+        }
+        return moved;
+    }
+    const moved = path.join(jobDir, `input-${name}${path.extname(input)}`);
+    await moveFile(input, moved);
+    return moved;
+}
+
+/**
+ * Resolve an input path, or each of a list of clips.
+ */
+function resolveInput(input) {
+    return Array.isArray(input) ? input.map((clip) => path.resolve(clip)) : path.resolve(input);
+}
+
+/**
+ * Runs merges in the background with a concurrency limit. Every job gets its own
+ * directory under `dataDir` for its output (and adopted inputs), which is removed
+ * once the job has been finished for longer than `ttl`.
+ *
+ * Emits `update` with the job record whenever a job changes state or progress and `removed`
+ * with the job id when a job is removed (explicitly or because its TTL passed).
+ */
+class JobQueue extends EventEmitter {
+    /**
+     * @param {Object} options - Queue options.
+     * @param {string} options.dataDir - Directory for per-job files.
+     * @param {Object} [options.store] - Job store, a `MemoryJobStore` by default.
+     * @param {number} [options.concurrency=1] - Maximum number of merges running at once.
+     * @param {number} [options.ttl=3600000] - Milliseconds a finished job and its output are kept.
+     */
+    constructor({ dataDir, store = new MemoryJobStore(), concurrency = 1, ttl = 60 * 60 * 1000 } = {}) {
+        super();
+        if (!dataDir) {
+            throw new TypeError('JobQueue requires a `dataDir`');
+        }
+        if (!(concurrency >= 1)) {
+            throw new TypeError('JobQueue `concurrency` must be at least 1');
+        }
+
+        this.dataDir = dataDir;
+        this.store = store;
+        this.concurrency = concurrency;
+        this.ttl = ttl;
+        this.pending = [];
+        this.running = 0;
+        this.controllers = new Map(); // Abort controllers of the running jobs, by id
+        this.runs = new Map(); // Promises of the running jobs, by id
+        this.removed = new Set(); // Ids of running jobs removed meanwhile, whose late writes are dropped
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        this.sweepTimer = setInterval(() => this.sweep().catch((err) => {
+            debugLog(`Error removing expired jobs: ${err.message}`);
+        }), Math.min(ttl, 60 * 1000));
+        this.sweepTimer.unref();
+
+        this.ready = this.restore();
+    }
+
+    jobDir(id) {
+        if (!/^[\w-]+$/.test(id)) {
+            throw new TypeError(`Invalid job id: ${id}`);
+        }
+        return path.join(this.dataDir, id);
+    }
+
+    /**
+     * Re-queue jobs that were queued or running when the process stopped.
+     */
+    async restore() {
+        const jobs = await this.store.list();
+        const unfinished = jobs
+            .filter((job) => !FINISHED_STATES.includes(job.state))
+            .sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const job of unfinished) {
+            debugLog(`Re-queueing job ${job.id} (was ${job.state})`);
+            await this.update(job, { state: 'queued', progress: 0 });
+            this.pending.push(job.id);
+        }
+        this.pump();
+    }
+
+    /**
+     * Queue a merge.
+     *
+     * @param {Object} options - `mergeMedia` options. `output` defaults to a file in the job directory,
+     *   `video` and `audio` may be lists of clips.
+     * @param {Object} [submitOptions] - Queue options for this job.
+     * @param {boolean} [submitOptions.moveInputs=false] - Move the input files into the job
+     *   directory so they are removed together with the job.
+     * @returns {Promise} - Resolves with the job id. Rejects with an `OptionError` when the
+     *   options cannot make a merge, before anything is queued.
+     */
+    async submit({ video, audio, output, ...options }, { moveInputs = false } = {}) {
+        const empty = (input) => Array.isArray(input) && input.length === 0;
+        if (!video || !audio || empty(video) || empty(audio)) {
+            throw new OptionError('A job requires `video` and `audio` paths');
+        }
+        // The default output gets the preset's extension, so the file matches its container
+        const preset = OUTPUT_PRESETS[options.preset];
+        const extension = preset ? preset.extension : '.mp4';
+        // Report mistakes now rather than as a failed job
+        checkMergeOptions(video, audio, output || `output${extension}`, options);
+        await this.ready;
+
+        const id = crypto.randomUUID();
+        const jobDir = this.jobDir(id);
+        await fs.promises.mkdir(jobDir, { recursive: true });
+
+        if (moveInputs) {
+            video = await moveInput(video, jobDir, 'video');
+            audio = await moveInput(audio, jobDir, 'audio');
+        }
+        for (const name of OPTIONAL_INPUTS) {
+            if (!options[name]) continue;
+            if (moveInputs) {
+                options[name] = await moveInput(options[name], jobDir, name);
+            }
+            options[name] = path.resolve(options[name]);
+        }
+
+        const defaultOutput = path.join(jobDir, `output${extension}`);
+
+        const now = Date.now();
+        const job = {
+            id,
+            state: 'queued',
+            progress: 0,
+            input: {
+                video: resolveInput(video),
+                audio: resolveInput(audio),
+                output: path.resolve(output || defaultOutput),
+                ...options
+            },
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null,
+            expiresAt: null,
+            result: null,
+            error: null
+        };
+        await this.store.save(job);
+        debugLog(`Queued job ${id}`);
+
+        this.pending.push(id);
+        this.pump();
+        return id;
+    }
+
+    /**
+     * Look up a job.
+     *
+     * @param {string} id - Job id returned by `submit`.
+     * @returns {Promise} - Resolves with the job record, or `null` for unknown or expired jobs.
+     */
+    async get(id) {
+        await this.ready;
+        return this.store.get(id);
+    }
+
+    async update(job, changes) {
+        if (this.removed.has(job.id)) return job;
+        Object.assign(job, changes, { updatedAt: Date.now() });
+        await this.store.save(job);
+        this.emit('update', { ...job });
+        return job;
+    }
+
+    pump() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const id = this.pending.shift();
+            this.running++;
+            this.run(id)
+                .catch((err) => debugLog(`Error running job ${id}: ${err.message}`))
+                .finally(() => {
+                    this.running--;
+                    this.pump();
+                });
+        }
+    }
+
+    async run(id) {
+        // Registered before the first await, so a cancel or remove from here on reaches this run
+        const controller = new AbortController();
+        this.controllers.set(id, controller);
+        const running = this.execute(id, controller.signal);
+        this.runs.set(id, running);
+        try {
+            await running;
+        } finally {
+            this.controllers.delete(id);
+            this.runs.delete(id);
+            this.removed.delete(id);
+        }
+    }
+
+    async execute(id, signal) {
+        const job = await this.store.get(id);
+        if (!job || this.removed.has(id)) return; // Removed while queued
+
+        await this.update(job, { startedAt: Date.now() });
+
+        // Stage and progress callbacks are synchronous, so chain the store writes to keep them in order
+        let stageUpdates = Promise.resolve();
+        const queueUpdate = (changes) => {
+            stageUpdates = stageUpdates.then(() => this.update(job, changes));
+        };
+        const onStage = (state) => queueUpdate({ state });
+        // Only store whole percentages to keep the number of writes down
+        let lastProgress = 0;
+        const onProgress = (percent) => {
+            const progress = Math.floor(percent);
+            if (progress > lastProgress) {
+                lastProgress = progress;
+                queueUpdate({ progress });
+            }
+        };
+
+        let outcome;
+        try {
+            const result = await mergeMedia({ ...job.input, onStage, onProgress, signal });
+            // Only data is kept, so every store returns the same job: `mapTime(result.timing, seconds)`
+            // does what the result's own `mapTime` did
+            delete result.mapTime;
+            outcome = { state: 'done', progress: 100, result };
+        } catch (err) {
+            debugLog(`Job ${id} failed: ${err.message}`);
+            outcome = { state: 'failed', error: { message: err.message, code: err.code || null } };
+        }
+
+        await stageUpdates;
+        if (this.removed.has(id)) return; // Removed while running
+
+        const finishedAt = Date.now();
+        await this.update(job, { ...outcome, finishedAt, expiresAt: finishedAt + this.ttl });
+    }
+
+    /**
+     * Remove finished jobs whose TTL has passed, together with their job directory.
+     */
+    async sweep() {
+        const now = Date.now();
+        const jobs = await this.store.list();
+        for (const job of jobs) {
+            if (FINISHED_STATES.includes(job.state) && job.expiresAt <= now) {
+                await this.remove(job.id);
+            }
+        }
+    }
+
+    /**
+     * Cancel a queued or running job. It ends up `failed` with the error code
+     * `ABORT_ERR` and is kept for the TTL like any other finished job.
+     *
+     * @param {string} id - Job id.
+     * @returns {Promise} - Resolves with `true` when the job was queued or running.
+     */
+    async cancel(id) {
+        const controller = this.controllers.get(id);
+        if (controller) {
+            controller.abort();
+            return true;
+        }
+
+        if (!this.pending.includes(id)) return false;
+        this.pending = this.pending.filter((pendingId) => pendingId !== id);
+
+        const job = await this.store.get(id);
+        if (!job) return false;
+        const finishedAt = Date.now();
+        await this.update(job, {
+            state: 'failed',
+            error: { message: new AbortError().message, code: 'ABORT_ERR' },
+            finishedAt,
+            expiresAt: finishedAt + this.ttl
+        });
+        return true;
+    }
+
+    /**
+     * Remove a job record and its job directory, cancelling the job first if it
+     * is still queued or running.
+     *
+     * @param {string} id - Job id.
+     */
+    async remove(id) {
+        const controller = this.controllers.get(id);
+        if (controller) {
+            // Wait for the run to settle, so no write still in flight brings the record back
+            this.removed.add(id);
+            controller.abort();
+            await this.runs.get(id).catch(() => {});
+        }
+        this.pending = this.pending.filter((pendingId) => pendingId !== id);
+        await this.store.delete(id);
+        await fs.promises.rm(this.jobDir(id), { recursive: true, force: true });
+        debugLog(`Removed job ${id}`);
+        this.emit('removed', id);
+    }
+
+    /**
+     * Stop the TTL sweep. Jobs that are running keep going.
+     */
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = {
+    JOB_STATES,
+    MemoryJobStore,
+    FileJobStore,
+    JobQueue
+};
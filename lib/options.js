@@ -0,0 +1,137 @@
+const {
+    OptionError,
+    FIT_STRATEGIES,
+    PAD_REMAINDERS,
+    AUDIO_MODES,
+    LOUDNESS_PRESETS,
+    OUTPUT_PRESETS,
+    STILL_BACKGROUNDS,
+    SUBTITLE_MODES,
+    SUBTITLE_POSITIONS,
+    TRANSITIONS,
+    CLIP_ORDERS
+} = require('../index');
+
+// Options that take one of a fixed set of values
+const CHOICE_OPTIONS = {
+    fit: FIT_STRATEGIES,
+    padRemainder: PAD_REMAINDERS,
+    audioMode: AUDIO_MODES,
+    loudness: Object.keys(LOUDNESS_PRESETS),
+    preset: Object.keys(OUTPUT_PRESETS),
+    background: STILL_BACKGROUNDS,
+    subtitleMode: SUBTITLE_MODES,
+    subtitlePosition: Object.keys(SUBTITLE_POSITIONS),
+    transition: TRANSITIONS,
+    clipOrder: CLIP_ORDERS
+};
+
+// Choice options that take a number as well: what the number means and which numbers are accepted
+const NUMERIC_CHOICES = {
+    fit: ['a number of seconds', (value) => value > 0],
+    loudness: ['a number of LUFS', (value) => value < 0]
+};
+
+// Options that take a number (`silenceThreshold` also takes `auto`)
+const NUMBER_OPTIONS = ['silenceThreshold', 'minSilence', 'maxPause', 'minStretch', 'maxStretch', 'audioGap', 'audioCrossfade',
+    'fadeOut', 'crossfade', 'frameRate', 'audioGain', 'originalGain', 'musicGain', 'musicFadeIn', 'musicFadeOut', 'truePeak',
+    'crf', 'subtitleSize', 'subtitleOutline'];
+
+// Options that are switched on or off, given as booleans or as `true`/`false`
+const BOOLEAN_OPTIONS = ['boomerang', 'completeLoops', 'exactDuration', 'duckMusic', 'kenBurns'];
+
+// Options with a fixed shape: the pattern and how to describe it
+const BITRATE = [/^\d+(\.\d+)?[kM]?$/, 'a bitrate such as 192k or 4M'];
+const PATTERN_OPTIONS = {
+    videoBitrate: BITRATE,
+    audioBitrate: BITRATE,
+    resolution: [/^\d+x\d+$/, 'a size such as 1920x1080']
+};
+
+// Free text options passed on as they are, up to a sane length
+const TEXT_OPTIONS = ['audioLanguage', 'originalLanguage', 'audioTitle', 'originalTitle', 'subtitleLanguage', 'subtitleFont'];
+const MAX_TEXT_LENGTH = 200;
+
+// Every option read by `parseOptionValues`
+const OPTION_NAMES = [
+    ...Object.keys(CHOICE_OPTIONS),
+    ...NUMBER_OPTIONS,
+    ...BOOLEAN_OPTIONS,
+    ...Object.keys(PATTERN_OPTIONS),
+    ...TEXT_OPTIONS
+].filter((name, index, names) => names.indexOf(name) === index);
+
+/**
+ * Check option values as they arrive from a command line or a form, mostly strings, and
+ * turn them into `mergeMedia` options. Values that are `undefined` and names outside
+ * `OPTION_NAMES` are left out, so `mergeMedia` applies its own defaults.
+ *
+ * @param {Object} values - Raw values by option name.
+ * @param {Object} [options] - Parsing options.
+ * @param {Function} [options.label] - Names an option in error messages, the option name by default.
+ * @returns {Object} - Options for `mergeMedia`.
+ * @throws {OptionError} - When a value does not fit its option.
+ */
+function parseOptionValues(values, { label = (name) => name } = {}) {
+    const options = {};
+    const isSet = (name) => values[name] !== undefined;
+
+    for (const [name, choices] of Object.entries(CHOICE_OPTIONS)) {
+        if (!isSet(name)) continue;
+        const numeric = NUMERIC_CHOICES[name];
+        const number = Number(values[name]);
+        if (numeric && String(values[name]).trim() !== '' && numeric[1](number)) {
+            options[name] = number;
+            continue;
+        }
+        if (!choices.includes(values[name])) {
+            const description = numeric ? `${numeric[0]} or ` : '';
+            throw new OptionError(`${label(name)} must be ${description}one of: ${choices.join(', ')}`);
+        }
+        options[name] = values[name];
+    }
+
+    for (const name of NUMBER_OPTIONS) {
+        if (!isSet(name)) continue;
+        if (name === 'silenceThreshold' && values[name] === 'auto') {
+            options[name] = 'auto';
+            continue;
+        }
+        const value = Number(values[name]);
+        if (String(values[name]).trim() === '' || !Number.isFinite(value)) {
+            throw new OptionError(`${label(name)} must be a number, got "${values[name]}"`);
+        }
+        options[name] = value;
+    }
+
+    for (const name of BOOLEAN_OPTIONS) {
+        if (!isSet(name)) continue;
+        if (![true, false, 'true', 'false'].includes(values[name])) {
+            throw new OptionError(`${label(name)} must be true or false`);
+        }
+        options[name] = values[name] === true || values[name] === 'true';
+    }
+
+    for (const [name, [pattern, description]] of Object.entries(PATTERN_OPTIONS)) {
+        if (!isSet(name)) continue;
+        if (!pattern.test(values[name])) {
+            throw new OptionError(`${label(name)} must be ${description}, got "${values[name]}"`);
+        }
+        options[name] = values[name];
+    }
+
+    for (const name of TEXT_OPTIONS) {
+        if (!isSet(name)) continue;
+        if (String(values[name]).length > MAX_TEXT_LENGTH) {
+            throw new OptionError(`${label(name)} must be at most ${MAX_TEXT_LENGTH} characters`);
+        }
+        options[name] = String(values[name]);
+    }
+
+    return options;
+}
+
+module.exports = {
+    OPTION_NAMES,
+    parseOptionValues
+};
@@ -0,0 +1,8 @@
+/** @type {import('next').NextConfig} */
+const nextConfig = {
+    // ffmpeg-static resolves its binary relative to its own package directory,
+    // which breaks when the server bundle inlines it
+    serverExternalPackages: ['fluent-ffmpeg', 'ffmpeg-static']
+};
+
+module.exports = nextConfig;
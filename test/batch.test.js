@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readManifest } = require('../lib/batch');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'av-merge-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write a manifest into the test directory and read it back
+function read(name, text) {
+    const manifestPath = path.join(dir, name);
+    fs.writeFileSync(manifestPath, text);
+    return readManifest(manifestPath);
+}
+
+test('reads CSV rows by their header and resolves paths against the manifest', async () => {
+    const rows = await read('plain.csv', 'video,audio,output,fit,boomerang,audioTitle\nin.mp4,voice.mp3,out/one.mp4,12.5,true,Narration\n');
+    assert.deepEqual(rows, [{
+        video: path.join(dir, 'in.mp4'),
+        audio: path.join(dir, 'voice.mp3'),
+        output: path.join(dir, 'out/one.mp4'),
+        fit: 12.5,
+        boomerang: true,
+        audioTitle: 'Narration'
+    }]);
+});
+
+test('reads quoted cells with commas, doubled quotes and line breaks', async () => {
+    const rows = await read('quoted.csv', 'video,audio,output,audioTitle\n"a, b.mp4",voice.mp3,out.mp4,"Say ""hi""\nand bye"\n');
+    assert.equal(rows[0].video, path.join(dir, 'a, b.mp4'));
+    assert.equal(rows[0].audioTitle, 'Say "hi"\nand bye');
+});
+
+test('reads CSV with a byte order mark, CRLF line ends and blank lines', async () => {
+    const rows = await read('excel.csv', '\uFEFFvideo,audio,output\r\nin.mp4,a.mp3,a.mp4\r\n\r\nin.mp4,b.mp3,b.mp4\r\n');
+    assert.deepEqual(rows.map((row) => path.basename(row.output)), ['a.mp4', 'b.mp4']);
+    assert.equal(Object.keys(rows[0])[0], 'video');
+});
+
+test('leaves empty CSV cells unset', async () => {
+    const rows = await read('empty.csv', 'video,audio,output,fit,music\nin.mp4,voice.mp3,out.mp4,,\n');
+    assert.deepEqual(Object.keys(rows[0]), ['video', 'audio', 'output']);
+});
+
+test('reads JSON rows and resolves lists of clips', async () => {
+    const rows = await read('clips.json', JSON.stringify([{ video: ['a.mp4', 'b.mp4'], audio: 'voice.mp3', output: 'out.mp4', crf: 20 }]));
+    assert.deepEqual(rows[0].video, [path.join(dir, 'a.mp4'), path.join(dir, 'b.mp4')]);
+    assert.equal(rows[0].crf, 20);
+});
+
+test('rejects manifests that are not a list of rows or not CSV or JSON', async () => {
+    await assert.rejects(read('object.json', '{"video":"in.mp4"}'), TypeError);
+    await assert.rejects(read('rows.txt', 'video,audio,output\n'), TypeError);
+});
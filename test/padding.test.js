@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planSilencePadding, OptionError } = require('..');
+
+// Two pauses in the middle of 10 seconds of speech
+const silences = [
+    { start: 3, end: 4, duration: 1 },
+    { start: 6, end: 8, duration: 2 }
+];
+
+// Length of the audio a plan renders
+const planDuration = (segments) => segments.reduce((total, segment) =>
+    total + (segment.type === 'audio' ? segment.end - segment.start : segment.duration), 0);
+
+test('pads the pauses equally and puts the remainder at the end by default', () => {
+    const segments = planSilencePadding({ audioDuration: 10, targetDuration: 16, silences, maxPause: 2 });
+    assert.deepEqual(segments, [
+        { type: 'audio', start: 0, end: 3.5 },
+        { type: 'silence', duration: 2 },
+        { type: 'audio', start: 3.5, end: 7 },
+        { type: 'silence', duration: 2 },
+        { type: 'audio', start: 7, end: 10 },
+        { type: 'silence', duration: 2 }
+    ]);
+});
+
+test('puts the remainder at the start', () => {
+    const segments = planSilencePadding({ audioDuration: 10, targetDuration: 16, silences, maxPause: 2, padRemainder: 'start' });
+    assert.deepEqual(segments[0], { type: 'silence', duration: 2 });
+    assert.equal(segments[segments.length - 1].type, 'audio');
+    assert.equal(planDuration(segments), 16);
+});
+
+test('spreads the remainder over the pauses in proportion to their length', () => {
+    const segments = planSilencePadding({ audioDuration: 10, targetDuration: 16, silences, maxPause: 2, padRemainder: 'proportional' });
+    const padding = segments.filter((segment) => segment.type === 'silence').map((segment) => segment.duration);
+    assert.equal(padding.length, 2);
+    assert.ok(Math.abs(padding[0] - (2 + 2 / 3)) < 1e-9);
+    assert.ok(Math.abs(padding[1] - (2 + 4 / 3)) < 1e-9);
+    assert.equal(segments[segments.length - 1].type, 'audio');
+});
+
+test('puts a proportional remainder at the end when there are no pauses', () => {
+    const segments = planSilencePadding({ audioDuration: 10, targetDuration: 13, silences: [], padRemainder: 'proportional' });
+    assert.deepEqual(segments, [
+        { type: 'audio', start: 0, end: 10 },
+        { type: 'silence', duration: 3 }
+    ]);
+});
+
+test('does not pad silences at the very start or end of the audio', () => {
+    const edges = [
+        { start: 0, end: 1, duration: 1 },
+        { start: 5, end: 6, duration: 1 },
+        { start: 9.995, end: 10, duration: 0.005 }
+    ];
+    const segments = planSilencePadding({ audioDuration: 10, targetDuration: 12, silences: edges });
+    assert.deepEqual(segments, [
+        { type: 'audio', start: 0, end: 5.5 },
+        { type: 'silence', duration: 2 },
+        { type: 'audio', start: 5.5, end: 10 }
+    ]);
+});
+
+test('keeps the whole audio and its length when no padding is needed', () => {
+    for (const targetDuration of [10, 8]) {
+        const segments = planSilencePadding({ audioDuration: 10, targetDuration, silences });
+        assert.equal(segments.filter((segment) => segment.type === 'silence').length, 0);
+        assert.equal(planDuration(segments), 10);
+    }
+});
+
+test('always renders exactly the target duration', () => {
+    for (const padRemainder of ['end', 'start', 'proportional']) {
+        for (const targetDuration of [10.5, 12, 25, 100]) {
+            const segments = planSilencePadding({ audioDuration: 10, targetDuration, silences, maxPause: 3, padRemainder });
+            assert.ok(Math.abs(planDuration(segments) - targetDuration) < 1e-9, `${padRemainder} to ${targetDuration}`);
+        }
+    }
+});
+
+test('rejects an unknown remainder mode', () => {
+    assert.throws(() => planSilencePadding({ audioDuration: 10, targetDuration: 12, silences, padRemainder: 'middle' }), OptionError);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { retimeSubtitles, setDebug, OptionError } = require('..');
+
+setDebug(false);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'av-merge-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write a caption file, retime it and read the result back
+async function retime(name, text, shiftTime) {
+    const input = path.join(dir, name);
+    const output = path.join(dir, `retimed-${name}`);
+    fs.writeFileSync(input, text);
+    assert.equal(await retimeSubtitles(input, output, shiftTime), output);
+    return fs.readFileSync(output, 'utf8');
+}
+
+test('retimes SRT cues and keeps their text', async () => {
+    const text = await retime('captions.srt', [
+        '1',
+        '00:00:01,000 --> 00:00:02,500',
+        'Hello',
+        '',
+        '2',
+        '00:59:59,999 --> 01:00:01,000',
+        'Past the hour',
+        ''
+    ].join('\n'), (seconds) => seconds + 2);
+    assert.equal(text, [
+        '1',
+        '00:00:03,000 --> 00:00:04,500',
+        'Hello',
+        '',
+        '2',
+        '01:00:01,999 --> 01:00:03,000',
+        'Past the hour',
+        ''
+    ].join('\n'));
+});
+
+test('moves cue start and end separately', async () => {
+    // A pause of 2 seconds inserted at 1.5 seconds grows the cue spanning it
+    const text = await retime('stretch.srt', '1\r\n00:00:01,000 --> 00:00:02,000\r\nSpans the pause\r\n',
+        (seconds) => (seconds < 1.5 ? seconds : seconds + 2));
+    assert.equal(text, '1\r\n00:00:01,000 --> 00:00:04,000\r\nSpans the pause\r\n');
+});
+
+test('retimes WebVTT cues with and without hours', async () => {
+    const text = await retime('captions.vtt', 'WEBVTT\n\n00:01.000 --> 00:02.000 align:start\nShort\n\n01:00:00.000 --> 01:00:01.000\nLong\n',
+        (seconds) => seconds * 2);
+    assert.equal(text, 'WEBVTT\n\n00:00:02.000 --> 00:00:04.000 align:start\nShort\n\n02:00:00.000 --> 02:00:02.000\nLong\n');
+});
+
+test('retimes ASS dialogue in centiseconds and leaves the rest alone', async () => {
+    const text = await retime('captions.ass', [
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,Hello, world',
+        ''
+    ].join('\n'), (seconds) => seconds + 0.25);
+    assert.equal(text, [
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.25,0:00:02.75,Default,,0,0,0,,Hello, world',
+        ''
+    ].join('\n'));
+});
+
+test('never writes a negative timestamp', async () => {
+    const text = await retime('early.srt', '1\n00:00:01,000 --> 00:00:02,000\nEarly\n', (seconds) => seconds - 1.5);
+    assert.equal(text, '1\n00:00:00,000 --> 00:00:00,500\nEarly\n');
+});
+
+test('rejects files that are not captions', async () => {
+    await assert.rejects(retimeSubtitles(path.join(dir, 'captions.txt'), path.join(dir, 'out.txt'), (seconds) => seconds), OptionError);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planSilencePadding, planTimingMap, mapTime } = require('..');
+
+const silences = [
+    { start: 3, end: 4, duration: 1 },
+    { start: 6, end: 8, duration: 2 }
+];
+
+// Convert an output time back into the audio input, the other way round from `mapTime`
+function sourceTime(timing, seconds) {
+    const segment = timing.find((candidate) => candidate.type === 'audio' && seconds >= candidate.start && seconds <= candidate.end);
+    if (!segment) return null;
+    const length = segment.end - segment.start;
+    const scale = length > 0 ? (segment.sourceEnd - segment.sourceStart) / length : 1;
+    return segment.sourceStart + (seconds - segment.start) * scale;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('covers the output from start to end without gaps', () => {
+    const padding = planSilencePadding({ audioDuration: 10, targetDuration: 16, silences, maxPause: 2 });
+    const timing = planTimingMap({ audioDuration: 10, duration: 16, padding });
+    assert.equal(timing[0].start, 0);
+    assert.equal(timing[timing.length - 1].end, 16);
+    timing.slice(1).forEach((segment, index) => assert.equal(segment.start, timing[index].end));
+    assert.deepEqual(timing.map((segment) => segment.type), ['audio', 'silence', 'audio', 'silence', 'audio', 'silence']);
+});
+
+test('moves timestamps past inserted pauses', () => {
+    const padding = planSilencePadding({ audioDuration: 10, targetDuration: 16, silences, maxPause: 2 });
+    const timing = planTimingMap({ audioDuration: 10, duration: 16, padding });
+    close(mapTime(timing, 0), 0);
+    close(mapTime(timing, 3), 3);
+    close(mapTime(timing, 5), 7);
+    close(mapTime(timing, 9), 13);
+    close(mapTime(timing, 10), 14);
+});
+
+test('maps a moment on a cut to the piece after it', () => {
+    const padding = planSilencePadding({ audioDuration: 10, targetDuration: 16, silences, maxPause: 2 });
+    const timing = planTimingMap({ audioDuration: 10, duration: 16, padding });
+    close(mapTime(timing, 3.5), 5.5);
+});
+
+test('scales timestamps of stretched audio', () => {
+    const timing = planTimingMap({ audioDuration: 10, duration: 12, stretch: 1.2 });
+    assert.equal(timing.length, 1);
+    close(mapTime(timing, 5), 6);
+    close(mapTime(timing, 10), 12);
+});
+
+test('returns null for audio cut from the output', () => {
+    const timing = planTimingMap({ audioDuration: 10, duration: 8 });
+    close(mapTime(timing, 8), 8);
+    assert.equal(mapTime(timing, 9), null);
+    assert.equal(mapTime(timing, -1), null);
+});
+
+test('ends with silence where the audio does not reach', () => {
+    const timing = planTimingMap({ audioDuration: 10, duration: 15 });
+    assert.deepEqual(timing[timing.length - 1], { type: 'silence', start: 10, end: 15 });
+});
+
+test('round-trips every moment of the audio through the output', () => {
+    const cases = [
+        { audioDuration: 10, duration: 16, padding: planSilencePadding({ audioDuration: 10, targetDuration: 16, silences, maxPause: 2 }) },
+        { audioDuration: 10, duration: 20, padding: planSilencePadding({ audioDuration: 10, targetDuration: 20, silences, padRemainder: 'start' }) },
+        { audioDuration: 10, duration: 20, padding: planSilencePadding({ audioDuration: 10, targetDuration: 20, silences, padRemainder: 'proportional' }) },
+        { audioDuration: 10, duration: 8, stretch: 0.8 },
+        { audioDuration: 10, duration: 6 }
+    ];
+    for (const params of cases) {
+        const timing = planTimingMap(params);
+        for (let seconds = 0; seconds <= params.audioDuration; seconds += 0.25) {
+            const mapped = mapTime(timing, seconds);
+            if (mapped === null) {
+                assert.ok(seconds > params.duration / (params.stretch || 1) - 1e-9, `${seconds} was cut`);
+                continue;
+            }
+            close(sourceTime(timing, mapped), seconds);
+        }
+    }
+});